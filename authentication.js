@@ -1,39 +1,183 @@
 /**
  * Productboard API v2.0.0 Authentication
- * 
- * Uses API Token (Personal Access Token) authentication.
- * Users generate tokens from: Productboard → Settings → Integrations → Public API
- * 
+ *
+ * Uses the OAuth 2.0 authorization-code flow, so connections belong to the
+ * workspace's Productboard app authorization rather than one person's token.
+ * Access tokens are refreshed automatically (autoRefresh) when the API answers 401.
+ *
+ * Connections that carry a personal API token (`apiToken`) are still accepted: the
+ * auth middleware in index.js sends the OAuth access token when there is one and the
+ * API token otherwise. Note that Zapier doesn't carry connections across an auth
+ * type change, so token connections made under `type: 'custom'` have to reconnect
+ * (see README).
+ *
+ * Optional workspace settings (subdomain, board ID) are used to build
+ * "Productboard URL" links that point at the user's own workspace.
+ *
+ * The connection label shows the token owner and workspace, e.g.
+ * "pm@acme.com (acme)", so several workspaces can be told apart.
+ *
  * @see https://developer.productboard.com/v2.0.0/reference/introduction
  */
 
+const { getWorkspaceSettings } = require('./lib/utils');
+const { OAUTH_SCOPES, parseScopes } = require('./lib/scopes');
+
+// Overridable so tests (and staging) can point at a stand-in authorization server
+const getOAuthBaseUrl = () => process.env.PRODUCTBOARD_OAUTH_BASE_URL || 'https://app.productboard.com';
+
+const authorizeUrl = (z, bundle) => {
+  const params = new URLSearchParams({
+    client_id: process.env.CLIENT_ID,
+    response_type: 'code',
+    redirect_uri: bundle.inputData.redirect_uri,
+    state: bundle.inputData.state,
+    scope: OAUTH_SCOPES.join(' '),
+  });
+  return `${getOAuthBaseUrl()}/oauth2/authorize?${params}`;
+};
+
+/**
+ * POST to the token endpoint with the client credentials and the given grant
+ */
+const requestToken = async (z, grant) => {
+  const response = await z.request({
+    url: `${getOAuthBaseUrl()}/oauth2/token`,
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: {
+      client_id: process.env.CLIENT_ID,
+      client_secret: process.env.CLIENT_SECRET,
+      ...grant,
+    },
+  });
+  return response.data;
+};
+
+const getAccessToken = async (z, bundle) => {
+  const data = await requestToken(z, {
+    grant_type: 'authorization_code',
+    code: bundle.inputData.code,
+    redirect_uri: bundle.inputData.redirect_uri,
+  });
+
+  return {
+    access_token: data.access_token,
+    refresh_token: data.refresh_token,
+    // Granted scopes, used to explain 403s (see handleErrors in index.js)
+    scope: data.scope || '',
+  };
+};
+
+const refreshAccessToken = async (z, bundle) => {
+  // API token connections have nothing to refresh: the token itself was rejected
+  if (!bundle.authData.refresh_token) {
+    throw new z.errors.Error(
+      'Authentication failed. Please check your Productboard API token, or reconnect your Productboard account.',
+      'AuthenticationError',
+      401
+    );
+  }
+
+  const data = await requestToken(z, {
+    grant_type: 'refresh_token',
+    refresh_token: bundle.authData.refresh_token,
+  });
+
+  // Servers that don't rotate refresh tokens omit it; keep the current one
+  return {
+    access_token: data.access_token,
+    refresh_token: data.refresh_token || bundle.authData.refresh_token,
+    scope: data.scope || bundle.authData.scope || '',
+  };
+};
+
+/**
+ * The member the token belongs to; best-effort, as not every token maps to a member
+ */
+const fetchTokenOwner = async (z) => {
+  try {
+    const response = await z.request({
+      url: 'https://api.productboard.com/v2/members/me',
+      method: 'GET',
+    });
+    const member = response.data.data || response.data;
+    return {
+      id: member.id || '',
+      email: member.fields?.email || member.email || '',
+      name: member.fields?.name || member.name || '',
+    };
+  } catch (error) {
+    z.console.log('Could not look up the token owner', error.message);
+    return { id: '', email: '', name: '' };
+  }
+};
+
 const testAuth = async (z, bundle) => {
   // Test auth by fetching entity configurations
-  const response = await z.request({
+  await z.request({
     url: 'https://api.productboard.com/v2/entities/configurations',
     method: 'GET',
   });
 
   // If we get here, auth succeeded
-  // Return some identifier for the connected account
+  // Test results don't reach authData, so only the configured workspace is reported
+  const { subdomain } = getWorkspaceSettings(bundle.authData);
+
+  const owner = await fetchTokenOwner(z);
+
+  // Servers that don't report granted scopes give nothing to compare against
+  const granted = parseScopes(bundle.authData.scope);
+  const missingScopes = granted.length > 0 ? OAUTH_SCOPES.filter((scope) => !granted.includes(scope)) : [];
+  if (missingScopes.length > 0) {
+    z.console.log(`Connection is missing scopes: ${missingScopes.join(', ')}`);
+  }
+
   return {
-    id: 'productboard_connection',
-    name: 'Productboard API v2',
+    id: [subdomain || 'productboard', owner.id || owner.email].filter(Boolean).join(':'),
+    name: owner.name || owner.email || 'Productboard API v2',
+    email: owner.email,
+    workspaceSubdomain: subdomain,
+    missingScopes,
   };
 };
 
+/**
+ * "email (workspace)" from the test result, falling back to whatever is known
+ */
+const connectionLabel = (z, bundle) => {
+  const { email, name, workspaceSubdomain } = bundle.inputData;
+  const who = email || name;
+  if (who && workspaceSubdomain) return `${who} (${workspaceSubdomain})`;
+  return who || workspaceSubdomain || 'Productboard (API v2)';
+};
+
 module.exports = {
-  type: 'custom',
+  type: 'oauth2',
+  oauth2Config: {
+    authorizeUrl,
+    getAccessToken,
+    refreshAccessToken,
+    autoRefresh: true,
+  },
   fields: [
     {
-      key: 'apiToken',
-      label: 'API Token',
-      type: 'password',
-      required: true,
-      helpText: 'Your Productboard API token. Generate one from Productboard → Settings → Integrations → Public API.',
+      key: 'workspaceSubdomain',
+      label: 'Workspace Subdomain',
+      type: 'string',
+      required: false,
+      helpText:
+        'The subdomain of your Productboard workspace, e.g. `acme` for https://acme.productboard.com. You can also paste any URL from your workspace. Used to build "Productboard URL" links.',
+    },
+    {
+      key: 'boardId',
+      label: 'Feature Board ID',
+      type: 'string',
+      required: false,
+      helpText:
+        'Optional: the numeric ID from your feature board URL (https://acme.productboard.com/feature-board/**123456**/...). When set, links open the entity on that board.',
     },
   ],
   test: testAuth,
-  connectionLabel: 'Productboard (API v2)',
+  connectionLabel,
 };
-
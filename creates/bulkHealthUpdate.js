@@ -0,0 +1,262 @@
+/**
+ * Bulk Health Update Action
+ *
+ * Updates health for many entities in one step, e.g. from a weekly status sheet.
+ * Rows come from line items (entity ID, status, comment) and/or a CSV or JSON text:
+ *
+ *   entityId,status,comment
+ *   7e8581c9-...,atRisk,"Blocked on legal review"
+ *
+ *   [{ "entityId": "7e8581c9-...", "status": "onTrack", "comment": "Back on schedule" }]
+ *
+ * Each row is a PATCH plus a GET (same as Create/Update Health Status), run a few at a
+ * time to stay well under the 50 requests/second limit. A bad row is reported in its
+ * result instead of failing the whole batch. A row counts as succeeded once its PATCH
+ * does; if only the follow-up GET fails, that is reported in `fetchError` so a re-run
+ * doesn't write the update twice.
+ *
+ * @see https://developer.productboard.com/v2.0.0/reference/update-entity
+ */
+
+const {
+  HEALTH_STATUS_OPTIONS,
+  formatEntity,
+  fetchEntity,
+  mapWithConcurrency,
+  parseCsv,
+} = require('../lib/utils');
+const { richTextFormatField } = require('../lib/richText');
+const {
+  HEALTH_MODE_OPTIONS,
+  normalizeHealthStatus,
+  buildHealthPayload,
+  patchEntityHealth,
+} = require('../lib/health');
+
+// Rows in flight at once; each costs two requests
+const BULK_CONCURRENCY = 5;
+// Keeps one step well inside Zapier's run time limit
+const MAX_ROWS = 100;
+
+const COLUMNS = ['entityId', 'status', 'comment'];
+
+/**
+ * Rows from CSV (header optional; columns entityId, status, comment) or a JSON array
+ */
+const parseUpdatesText = (text) => {
+  const trimmed = String(text || '').trim();
+  if (!trimmed) return [];
+
+  if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+    const parsed = JSON.parse(trimmed);
+    const list = Array.isArray(parsed) ? parsed : parsed.updates || [parsed];
+    return list.map((item) => ({
+      entityId: item.entityId || item.id || '',
+      status: item.status || item.healthStatus || '',
+      comment: item.comment || '',
+    }));
+  }
+
+  const rows = parseCsv(trimmed);
+  const header = rows[0].map((cell) => cell.replace(/\s/g, '').toLowerCase());
+  const hasHeader = header.includes('entityid') || header.includes('status');
+  const columns = hasHeader
+    ? header.map((name) => (name === 'id' ? 'entityId' : COLUMNS.find((key) => key.toLowerCase() === name)))
+    : COLUMNS;
+
+  return rows.slice(hasHeader ? 1 : 0).map((cells) => {
+    const row = { entityId: '', status: '', comment: '' };
+    cells.forEach((value, index) => {
+      if (columns[index]) row[columns[index]] = value;
+    });
+    return row;
+  });
+};
+
+const perform = async (z, bundle) => {
+  const { commentFormat, mode, createdById } = bundle.inputData;
+
+  let textRows;
+  try {
+    textRows = parseUpdatesText(bundle.inputData.updatesText);
+  } catch (error) {
+    throw new z.errors.Error(`Could not read Updates (CSV or JSON): ${error.message}`, 'InvalidInput', 400);
+  }
+
+  const rows = [...(bundle.inputData.updates || []), ...textRows]
+    .filter((row) => row && (row.entityId || row.status || row.comment));
+
+  if (rows.length === 0) {
+    throw new z.errors.Error('No health updates given. Add line items or CSV/JSON rows.', 'InvalidInput', 400);
+  }
+  if (rows.length > MAX_ROWS) {
+    throw new z.errors.Error(
+      `Too many health updates (${rows.length}). Send at most ${MAX_ROWS} per step.`,
+      'InvalidInput',
+      400
+    );
+  }
+
+  const results = await mapWithConcurrency(rows, BULK_CONCURRENCY, async (row, index) => {
+    const entityId = String(row.entityId || '').trim();
+    const status = normalizeHealthStatus(row.status);
+    const result = { row: index + 1, entityId, success: false, error: '', fetchError: '' };
+
+    // Invalid rows are reported without calling the API
+    if (!entityId) {
+      return { ...result, error: 'Missing entity ID' };
+    }
+    if (!status) {
+      return { ...result, error: `Unknown health status "${row.status || ''}"` };
+    }
+
+    try {
+      const health = buildHealthPayload({ status, comment: row.comment, commentFormat, mode, createdById });
+      await patchEntityHealth(z, entityId, health);
+    } catch (error) {
+      return { ...result, error: error.message };
+    }
+
+    // The update is written; a failed read-back only loses the output details
+    try {
+      const entity = formatEntity(await fetchEntity(z, entityId), bundle.authData);
+      return {
+        ...result,
+        success: true,
+        name: entity.name,
+        url: entity.url,
+        health: entity.health,
+      };
+    } catch (error) {
+      return { ...result, success: true, fetchError: error.message };
+    }
+  });
+
+  const succeeded = results.filter((result) => result.success).length;
+
+  return {
+    total: results.length,
+    succeeded,
+    failed: results.length - succeeded,
+    results,
+  };
+};
+
+// Sample data for Zap editor testing
+const sample = {
+  total: 2,
+  succeeded: 1,
+  failed: 1,
+  results: [
+    {
+      row: 1,
+      entityId: 'ent_feature123',
+      success: true,
+      error: '',
+      fetchError: '',
+      name: 'User Authentication',
+      url: 'https://acme.productboard.com/feature-board/165206/detail/feature/ent_feature123',
+      health: {
+        id: 'health_abc789',
+        status: 'atRisk',
+        previousStatus: 'onTrack',
+        mode: 'manual',
+        comment: '<p>Blocked on legal review</p>',
+        commentPlainText: 'Blocked on legal review',
+        commentMarkdown: 'Blocked on legal review',
+        lastUpdatedAt: '2025-12-13T12:00:00Z',
+        updatedByEmail: 'pm@example.com',
+        updatedById: 'member_789',
+      },
+    },
+    {
+      row: 2,
+      entityId: 'ent_missing',
+      success: false,
+      error: 'Resource not found. The entity ID may be incorrect.',
+      fetchError: '',
+    },
+  ],
+};
+
+module.exports = {
+  key: 'bulkHealthUpdate',
+  noun: 'Health Update',
+  display: {
+    label: 'Bulk Update Health Status',
+    description: 'Updates health status for many entities at once from line items or CSV/JSON, with a result per row.',
+  },
+  operation: {
+    perform,
+    inputFields: [
+      {
+        key: 'updates',
+        label: 'Updates',
+        required: false,
+        children: [
+          {
+            key: 'entityId',
+            label: 'Entity ID',
+            type: 'string',
+            required: false,
+            helpText: 'The entity to update. Add one line item per entity, or use Updates (CSV or JSON) below.',
+          },
+          {
+            key: 'status',
+            label: 'Health Status',
+            type: 'string',
+            required: false,
+            helpText: `One of: ${Object.keys(HEALTH_STATUS_OPTIONS).join(', ')} (labels like "Off Track" also work).`,
+          },
+          {
+            key: 'comment',
+            label: 'Comment',
+            type: 'text',
+            required: false,
+          },
+        ],
+      },
+      {
+        key: 'updatesText',
+        label: 'Updates (CSV or JSON)',
+        type: 'text',
+        required: false,
+        helpText:
+          'CSV with columns `entityId,status,comment` (header row optional), or a JSON array like `[{"entityId": "...", "status": "onTrack", "comment": "..."}]`.',
+      },
+      richTextFormatField('commentFormat', 'Comment'),
+      {
+        key: 'mode',
+        label: 'Mode',
+        type: 'string',
+        choices: HEALTH_MODE_OPTIONS,
+        required: false,
+        default: 'manual',
+        helpText: 'Health mode for every row - typically "manual" when set via API.',
+      },
+      {
+        key: 'createdById',
+        label: 'Created By (Member ID)',
+        type: 'string',
+        required: false,
+        dynamic: 'memberList.id.name',
+        helpText: 'Optional: The Productboard member creating these updates.',
+      },
+    ],
+    sample,
+    outputFields: [
+      { key: 'total', label: 'Total Rows', type: 'integer' },
+      { key: 'succeeded', label: 'Succeeded', type: 'integer' },
+      { key: 'failed', label: 'Failed', type: 'integer' },
+      { key: 'results[]row', label: 'Row Number', type: 'integer' },
+      { key: 'results[]entityId', label: 'Row Entity ID', type: 'string' },
+      { key: 'results[]success', label: 'Row Succeeded', type: 'boolean' },
+      { key: 'results[]error', label: 'Row Error', type: 'string' },
+      { key: 'results[]fetchError', label: 'Row Read-back Error', type: 'string' },
+      { key: 'results[]name', label: 'Row Entity Name', type: 'string' },
+      { key: 'results[]url', label: 'Row Productboard URL', type: 'string' },
+      { key: 'results[]health__status', label: 'Row Health Status', type: 'string' },
+      { key: 'results[]health__lastUpdatedAt', label: 'Row Health Last Updated', type: 'datetime' },
+    ],
+  },
+};
@@ -0,0 +1,205 @@
+/**
+ * Create Entity Action
+ *
+ * Creates a new entity (feature, initiative, objective, etc.) in Productboard API v2.0.0
+ *
+ * Request body format:
+ * { data: { type, fields: { name, description, owner, status, timeframe }, relationships: [...] } }
+ *
+ * Once the POST succeeds nothing may fail the step, or Zapier's replay would create the
+ * entity twice: if reading it back fails, the new ID is returned with `fetchError`.
+ *
+ * @see https://developer.productboard.com/v2.0.0/reference/create-entity
+ */
+
+const {
+  ENTITY_TYPES,
+  formatEntity,
+  entityOutputFields,
+  requestWithRetry,
+  createWithRetry,
+  toDateOnly,
+} = require('../lib/utils');
+const {
+  customFieldInputFields,
+  customFieldOutputFields,
+  buildCustomFieldValues,
+} = require('../lib/configurations');
+const { toRichText, richTextFormatField } = require('../lib/richText');
+
+const perform = async (z, bundle) => {
+  const { entityType, name, description, ownerEmail, statusName,
+          startDate, endDate, parentId } = bundle.inputData;
+
+  const fields = { name };
+
+  // Description should be HTML (RichTextFieldValue)
+  if (description) {
+    fields.description = toRichText(description, bundle.inputData.descriptionFormat);
+  }
+
+  if (ownerEmail) {
+    fields.owner = { email: ownerEmail.trim() };
+  }
+
+  if (statusName) {
+    fields.status = { name: statusName.trim() };
+  }
+
+  if (startDate || endDate) {
+    fields.timeframe = {};
+    if (startDate) fields.timeframe.startDate = toDateOnly(startDate);
+    if (endDate) fields.timeframe.endDate = toDateOnly(endDate);
+  }
+
+  // Workspace custom fields from the dynamic inputs
+  Object.assign(fields, await buildCustomFieldValues(z, entityType, bundle.inputData));
+
+  const data = {
+    type: entityType,
+    fields,
+  };
+
+  // Parent is set as a relationship (e.g., feature under a component)
+  if (parentId) {
+    data.relationships = [
+      {
+        type: 'parent',
+        target: { id: parentId },
+      },
+    ];
+  }
+
+  const response = await createWithRetry(z, {
+    url: 'https://api.productboard.com/v2/entities',
+    method: 'POST',
+    body: { data },
+  });
+
+  // POST returns only the new ID and links, so fetch the full entity
+  const created = response.data.data || response.data;
+  let entity;
+  try {
+    const getResponse = await requestWithRetry(z, {
+      url: `https://api.productboard.com/v2/entities/${created.id}`,
+      method: 'GET',
+    });
+    entity = getResponse.data.data || getResponse.data;
+  } catch (error) {
+    // The entity exists now: failing (or rescheduling) the step would create it again
+    const partial = { id: created.id, type: entityType, links: created.links, fields: { name } };
+    return { ...formatEntity(partial, bundle.authData), fetchError: error.message };
+  }
+
+  return { ...formatEntity(entity, bundle.authData), fetchError: '' };
+};
+
+// Sample data for Zap editor testing
+const sample = {
+  id: 'ent_feature789',
+  type: 'feature',
+  name: 'Bulk CSV Export',
+  description: '<p>Requested via intake form</p>',
+  descriptionPlainText: 'Requested via intake form',
+  url: 'https://acme.productboard.com/feature-board/165206/detail/feature/ent_feature789',
+
+  status: 'New idea',
+  statusId: 'status_001',
+  archived: false,
+
+  ownerEmail: 'pm@example.com',
+  ownerId: 'member_456',
+
+  startDate: '',
+  endDate: '',
+
+  createdAt: '2025-12-14T09:00:00Z',
+  updatedAt: '2025-12-14T09:00:00Z',
+
+  health: null,
+
+  fetchError: '',
+};
+
+module.exports = {
+  key: 'createEntity',
+  noun: 'Entity',
+  display: {
+    label: 'Create Entity',
+    description: 'Creates a new feature, initiative, objective, or other entity in Productboard.',
+  },
+  operation: {
+    perform,
+    inputFields: [
+      {
+        key: 'entityType',
+        label: 'Entity Type',
+        type: 'string',
+        choices: ENTITY_TYPES,
+        required: true,
+        altersDynamicFields: true,
+        helpText: 'The type of entity to create.',
+      },
+      {
+        key: 'name',
+        label: 'Name',
+        type: 'string',
+        required: true,
+        helpText: 'The name of the new entity.',
+      },
+      {
+        key: 'description',
+        label: 'Description',
+        type: 'text',
+        required: false,
+        helpText: 'Optional description as plain text, Markdown, or HTML (see Description Format).',
+      },
+      richTextFormatField('descriptionFormat', 'Description'),
+      {
+        key: 'ownerEmail',
+        label: 'Owner Email',
+        type: 'string',
+        required: false,
+        dynamic: 'memberList.email.name',
+        helpText: 'Email of the Productboard member who owns the entity.',
+      },
+      {
+        key: 'statusName',
+        label: 'Status Name',
+        type: 'string',
+        required: false,
+        dynamic: 'statusList.name.name',
+        helpText: 'Status name exactly as it appears in Productboard (e.g., "New idea"). Defaults to the workspace default status.',
+      },
+      {
+        key: 'startDate',
+        label: 'Timeframe Start Date',
+        type: 'datetime',
+        required: false,
+        helpText: 'Timeframe start date (YYYY-MM-DD).',
+      },
+      {
+        key: 'endDate',
+        label: 'Timeframe End Date',
+        type: 'datetime',
+        required: false,
+        helpText: 'Timeframe end date (YYYY-MM-DD).',
+      },
+      {
+        key: 'parentId',
+        label: 'Parent Entity ID',
+        type: 'string',
+        required: false,
+        dynamic: 'parentEntityList.id.name',
+        helpText: 'Optional: ID of the parent entity (e.g., the product or component a feature belongs to).',
+      },
+      customFieldInputFields,
+    ],
+    sample,
+    outputFields: [
+      ...entityOutputFields,
+      { key: 'fetchError', label: 'Read-back Error', type: 'string' },
+      customFieldOutputFields,
+    ],
+  },
+};
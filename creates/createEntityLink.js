@@ -0,0 +1,97 @@
+/**
+ * Create Entity Link Action
+ *
+ * Adds a `link` relationship between two entities in Productboard API v2.0.0
+ * (e.g., feature ↔ initiative, key result ↔ objective).
+ *
+ * Both entities are fetched first so the type pair can be validated.
+ *
+ * @see https://developer.productboard.com/v2.0.0/reference/createentityrelationship
+ */
+
+const { fetchEntity, requestWithRetry } = require('../lib/utils');
+const {
+  validateLink,
+  buildRelationshipChangeResult,
+  relationshipChangeOutputFields,
+} = require('../lib/relationships');
+
+const perform = async (z, bundle) => {
+  const { entityId, targetEntityId } = bundle.inputData;
+
+  const [entity, target] = await Promise.all([
+    fetchEntity(z, entityId),
+    fetchEntity(z, targetEntityId),
+  ]);
+
+  const error = validateLink(entity.type, target.type);
+  if (error) {
+    throw new z.errors.Error(error, 'InvalidRelationship', 400);
+  }
+
+  await requestWithRetry(z, {
+    url: `https://api.productboard.com/v2/entities/${entityId}/relationships`,
+    method: 'POST',
+    body: {
+      data: {
+        type: 'link',
+        target: { id: targetEntityId },
+      },
+    },
+  });
+
+  return buildRelationshipChangeResult(z, entity, 'link', targetEntityId);
+};
+
+// Sample data for Zap editor testing
+const sample = {
+  id: '766ec003-95ef-45fc-9b2d-94532b247df2',
+  entityId: '766ec003-95ef-45fc-9b2d-94532b247df2',
+  entityType: 'feature',
+  relationshipType: 'link',
+  relatedEntityId: '017a2f72-d597-4e36-98b9-cee533018dd0',
+  relationships: [
+    {
+      id: '766ec003-95ef-45fc-9b2d-94532b247df2_017a2f72-d597-4e36-98b9-cee533018dd0',
+      sourceEntityId: '766ec003-95ef-45fc-9b2d-94532b247df2',
+      relationshipType: 'link',
+      relatedEntityId: '017a2f72-d597-4e36-98b9-cee533018dd0',
+      relatedEntityType: 'initiative',
+      relatedEntityUrl: 'https://api.productboard.com/v2/entities/017a2f72-d597-4e36-98b9-cee533018dd0',
+    },
+  ],
+};
+
+module.exports = {
+  key: 'createEntityLink',
+  noun: 'Entity Relationship',
+  display: {
+    label: 'Link Entities',
+    description: 'Links two entities, such as a feature to an initiative or a key result to an objective.',
+  },
+  operation: {
+    perform,
+    inputFields: [
+      {
+        key: 'entityId',
+        label: 'Entity ID',
+        type: 'string',
+        required: true,
+        dynamic: 'entityList.id.name',
+        search: 'listEntities.id',
+        helpText: 'The entity to link from (e.g., a feature).',
+      },
+      {
+        key: 'targetEntityId',
+        label: 'Linked Entity ID',
+        type: 'string',
+        required: true,
+        dynamic: 'entityList.id.name',
+        search: 'listEntities.id',
+        helpText: 'The entity to link to (e.g., an initiative or objective).',
+      },
+    ],
+    sample,
+    outputFields: relationshipChangeOutputFields,
+  },
+};
@@ -9,69 +9,58 @@
  * - comment: RichTextFieldValue (HTML content)
  * - createdBy: MemberFieldAssign (member ID)
  *
+ * With "Only Update If Changed", the current health is fetched first and the PATCH is
+ * skipped when status and comment text already match (for "append", when the current
+ * comment already ends with the new one), so re-run Zaps don't add duplicate health
+ * history. The output's `changed` flag says whether anything was written.
+ *
  * @see https://developer.productboard.com/v2.0.0/reference/update-entity
  */
 
-const { formatEntity, entityOutputFields } = require('../lib/utils');
-
-const HEALTH_STATUS_OPTIONS = {
-  notSet: 'Not Set',
-  onTrack: 'On Track',
-  atRisk: 'At Risk',
-  offTrack: 'Off Track',
-};
-
-const HEALTH_MODE_OPTIONS = {
-  manual: 'Manual',
-  calculated: 'Calculated',
-};
+const {
+  HEALTH_STATUS_OPTIONS,
+  formatEntity,
+  entityOutputFields,
+  fetchEntity,
+} = require('../lib/utils');
+const { richTextFormatField } = require('../lib/richText');
+const {
+  HEALTH_MODE_OPTIONS,
+  COMMENT_MODE_OPTIONS,
+  buildHealthPayload,
+  mergeHealthComment,
+  isSameHealth,
+  updateEntityHealth,
+} = require('../lib/health');
 
 const perform = async (z, bundle) => {
-  const { entityId, status, comment, mode, createdById } = bundle.inputData;
-
-  // Build the health update payload per Productboard API v2 spec
-  const healthUpdate = {
-    status: status,
-    mode: mode || 'manual',
-  };
-
-  // Comment should be HTML (RichTextFieldValue)
-  if (comment) {
-    // Wrap plain text in paragraph tags if not already HTML
-    healthUpdate.comment = comment.startsWith('<') ? comment : `<p>${comment}</p>`;
-  }
-
-  // Optional: specify who created the health update
-  if (createdById) {
-    healthUpdate.createdBy = {
-      id: createdById,
-    };
+  const { entityId } = bundle.inputData;
+  const onlyIfChanged = String(bundle.inputData.onlyIfChanged) === 'true';
+  const commentMode = bundle.inputData.commentMode || 'replace';
+
+  const health = buildHealthPayload(bundle.inputData);
+
+  // Current health is only needed to compare against or to reuse its comment
+  if (onlyIfChanged || commentMode !== 'replace') {
+    const current = await fetchEntity(z, entityId);
+    const currentHealth = current.fields?.health;
+
+    // Compare the incoming comment before merging, or an append would never match
+    if (onlyIfChanged && isSameHealth(currentHealth, health, commentMode)) {
+      return { ...formatEntity(current, bundle.authData), changed: false };
+    }
+
+    const comment = mergeHealthComment(currentHealth?.comment, health.comment, commentMode);
+    if (comment) {
+      health.comment = comment;
+    }
   }
 
   // Update the entity with the new health field value
-  // API v2 format: { data: { fields: { health: {...} } } }
-  await z.request({
-    url: `https://api.productboard.com/v2/entities/${entityId}`,
-    method: 'PATCH',
-    body: {
-      data: {
-        fields: {
-          health: healthUpdate,
-        },
-      },
-    },
-  });
-
-  // PATCH returns minimal data, so fetch the full entity to return complete info
-  const getResponse = await z.request({
-    url: `https://api.productboard.com/v2/entities/${entityId}`,
-    method: 'GET',
-  });
-
-  const updatedEntity = getResponse.data.data || getResponse.data;
+  const updatedEntity = await updateEntityHealth(z, entityId, health);
 
   // Return the formatted entity with updated health
-  return formatEntity(updatedEntity);
+  return { ...formatEntity(updatedEntity, bundle.authData), changed: true };
 };
 
 // Sample data for Zap editor testing
@@ -81,7 +70,7 @@ const sample = {
   name: 'User Authentication',
   description: '<p>Implement secure user authentication flow</p>',
   descriptionPlainText: 'Implement secure user authentication flow',
-  url: 'https://zapier.productboard.com/feature-board/165206/detail/feature/ent_feature123',
+  url: 'https://acme.productboard.com/feature-board/165206/detail/feature/ent_feature123',
 
   status: 'In Progress',
   statusId: 'status_123',
@@ -96,6 +85,8 @@ const sample = {
   createdAt: '2025-01-01T00:00:00Z',
   updatedAt: '2025-12-13T12:00:00Z',
 
+  changed: true,
+
   health: {
     id: 'health_abc789',
     status: 'onTrack',
@@ -124,7 +115,9 @@ module.exports = {
         label: 'Entity ID',
         type: 'string',
         required: true,
-        helpText: 'The ID of the entity to update (feature, initiative, objective, etc.).',
+        dynamic: 'entityList.id.name',
+        search: 'listEntities.id',
+        helpText: 'The entity to update (feature, initiative, objective, etc.).',
       },
       {
         key: 'status',
@@ -139,7 +132,26 @@ module.exports = {
         label: 'Comment',
         type: 'text',
         required: false,
-        helpText: 'Optional comment explaining the health status. Can be plain text or HTML.',
+        helpText: 'Optional comment explaining the health status, as plain text, Markdown, or HTML (see Comment Format).',
+      },
+      richTextFormatField('commentFormat', 'Comment'),
+      {
+        key: 'commentMode',
+        label: 'Existing Comment',
+        type: 'string',
+        choices: COMMENT_MODE_OPTIONS,
+        required: false,
+        default: 'replace',
+        helpText: 'What to do with the comment already on the entity\'s health.',
+      },
+      {
+        key: 'onlyIfChanged',
+        label: 'Only Update If Changed',
+        type: 'boolean',
+        required: false,
+        default: 'false',
+        helpText:
+          'Skip the update when the status and comment text already match, so re-runs don\'t add duplicate health history. Check the `Changed` output to see if an update was made.',
       },
       {
         key: 'mode',
@@ -155,10 +167,14 @@ module.exports = {
         label: 'Created By (Member ID)',
         type: 'string',
         required: false,
-        helpText: 'Optional: The UUID of the Productboard member creating this update.',
+        dynamic: 'memberList.id.name',
+        helpText: 'Optional: The Productboard member creating this update.',
       },
     ],
     sample,
-    outputFields: entityOutputFields,
+    outputFields: [
+      ...entityOutputFields,
+      { key: 'changed', label: 'Changed', type: 'boolean' },
+    ],
   },
 };
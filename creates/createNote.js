@@ -0,0 +1,218 @@
+/**
+ * Create Note Action
+ *
+ * Creates a note (insight) in Productboard API v2.0.0, optionally attributed to a
+ * customer (user email or company domain) and linked to one or more features.
+ *
+ * Request body format:
+ * { data: { type: "simple", fields: { name, content, tags, owner, source }, relationships: [...] } }
+ *
+ * Feature links are created afterwards with the same relationship payload as
+ * Create Note Relationship. A link that fails (e.g. a bad feature ID) is reported in
+ * `linkErrors` rather than failing the step, since a replay would create the note again.
+ * For the same reason a failed read-back of the new note is reported in `fetchError`.
+ *
+ * @see https://developer.productboard.com/v2.0.0/reference/create-note
+ */
+
+const { requestWithRetry, createWithRetry } = require('../lib/utils');
+const { toRichText, richTextFormatField } = require('../lib/richText');
+const { linkNoteToEntity, formatNote, noteOutputFields } = require('../lib/notes');
+
+const perform = async (z, bundle) => {
+  const { title, content, sourceUrl, sourceOrigin, ownerEmail,
+          customerEmail, companyDomain } = bundle.inputData;
+  const tags = bundle.inputData.tags || [];
+  const featureIds = bundle.inputData.featureIds || [];
+
+  // Content should be HTML (RichTextFieldValue)
+  const fields = {
+    name: title,
+    content: toRichText(content, bundle.inputData.contentFormat),
+  };
+
+  if (tags.length > 0) {
+    fields.tags = tags.map((tag) => ({ name: tag.trim() })).filter((tag) => tag.name);
+  }
+
+  if (ownerEmail) {
+    fields.owner = { email: ownerEmail.trim() };
+  }
+
+  if (sourceUrl || sourceOrigin) {
+    fields.source = {};
+    if (sourceOrigin) fields.source.origin = sourceOrigin;
+    if (sourceUrl) fields.source.url = sourceUrl;
+  }
+
+  const data = {
+    type: 'simple',
+    fields,
+  };
+
+  // A note has at most one customer: a user (by email) or a company (by domain)
+  if (customerEmail) {
+    data.relationships = [{ type: 'customer', target: { type: 'user', email: customerEmail.trim() } }];
+  } else if (companyDomain) {
+    data.relationships = [{ type: 'customer', target: { type: 'company', domain: companyDomain.trim() } }];
+  }
+
+  const response = await createWithRetry(z, {
+    url: 'https://api.productboard.com/v2/notes',
+    method: 'POST',
+    body: { data },
+  });
+
+  const created = response.data.data || response.data;
+
+  // Link to features one by one, reusing the note relationship payload
+  const linkedEntityIds = [];
+  const linkErrors = [];
+  for (const featureId of featureIds) {
+    try {
+      await linkNoteToEntity(z, created.id, featureId);
+      linkedEntityIds.push(featureId);
+    } catch (error) {
+      linkErrors.push({ entityId: featureId, error: error.message });
+    }
+  }
+
+  // POST returns only the new ID and links, so fetch the full note
+  let note;
+  let fetchError = '';
+  try {
+    const getResponse = await requestWithRetry(z, {
+      url: `https://api.productboard.com/v2/notes/${created.id}`,
+      method: 'GET',
+    });
+    note = getResponse.data.data || getResponse.data;
+  } catch (error) {
+    // The note may not be readable yet (404) or the API is down; it exists either way
+    note = { id: created.id, type: data.type, links: created.links, fields };
+    fetchError = error.message;
+  }
+
+  return {
+    ...formatNote(note),
+    linkedEntityIds,
+    linkErrors,
+    fetchError,
+  };
+};
+
+// Sample data for Zap editor testing
+const sample = {
+  id: '62099d4c-571f-405d-abc0-9e3925d053ee',
+  type: 'simple',
+  title: 'Customer asked for CSV export',
+  content: '<p>We need to export our reports to CSV every week.</p>',
+  contentPlainText: 'We need to export our reports to CSV every week.',
+  tags: ['export', 'reporting'],
+
+  ownerEmail: 'pm@example.com',
+  ownerId: 'member_456',
+
+  sourceOrigin: 'zendesk',
+  sourceUrl: 'https://acme.zendesk.com/agent/tickets/1234',
+
+  url: 'https://acme.productboard.com/all-notes/notes/62099d4c-571f-405d-abc0-9e3925d053ee',
+  apiUrl: 'https://api.productboard.com/v2/notes/62099d4c-571f-405d-abc0-9e3925d053ee',
+
+  createdAt: '2025-12-13T12:00:00Z',
+  updatedAt: '2025-12-13T12:00:00Z',
+
+  linkedEntityIds: ['7e8581c9-900d-40f5-bf91-5d5cb790a53d'],
+  linkErrors: [],
+  fetchError: '',
+};
+
+module.exports = {
+  key: 'createNote',
+  noun: 'Note',
+  display: {
+    label: 'Create Note',
+    description: 'Creates a note (insight) with optional customer, tags, and feature links.',
+  },
+  operation: {
+    perform,
+    inputFields: [
+      {
+        key: 'title',
+        label: 'Title',
+        type: 'string',
+        required: true,
+        helpText: 'The note title.',
+      },
+      {
+        key: 'content',
+        label: 'Content',
+        type: 'text',
+        required: true,
+        helpText: 'The note content as plain text, Markdown, or HTML (see Content Format).',
+      },
+      richTextFormatField('contentFormat', 'Content'),
+      {
+        key: 'customerEmail',
+        label: 'Customer Email',
+        type: 'string',
+        required: false,
+        helpText: 'Email of the customer (user) the feedback came from.',
+      },
+      {
+        key: 'companyDomain',
+        label: 'Company Domain',
+        type: 'string',
+        required: false,
+        helpText: 'Domain of the customer company (e.g., "acme.com"). Used when no customer email is given.',
+      },
+      {
+        key: 'tags',
+        label: 'Tags',
+        type: 'string',
+        list: true,
+        required: false,
+        helpText: 'Tags to add to the note.',
+      },
+      {
+        key: 'ownerEmail',
+        label: 'Owner Email',
+        type: 'string',
+        required: false,
+        dynamic: 'memberList.email.name',
+        helpText: 'Email of the Productboard member who owns the note.',
+      },
+      {
+        key: 'sourceOrigin',
+        label: 'Source Origin',
+        type: 'string',
+        required: false,
+        helpText: 'Where the feedback came from (e.g., "zendesk", "intercom", "slack").',
+      },
+      {
+        key: 'sourceUrl',
+        label: 'Source URL',
+        type: 'string',
+        required: false,
+        helpText: 'Link back to the original ticket, conversation, or message.',
+      },
+      {
+        key: 'featureIds',
+        label: 'Link to Features',
+        type: 'string',
+        list: true,
+        required: false,
+        dynamic: 'entityList.id.name',
+        search: 'listEntities.id',
+        helpText: 'Optional: features, products, or components to link the note to.',
+      },
+    ],
+    sample,
+    outputFields: [
+      ...noteOutputFields,
+      { key: 'linkedEntityIds', label: 'Linked Entity IDs', type: 'string', list: true },
+      { key: 'linkErrors[]entityId', label: 'Failed Link Entity ID', type: 'string' },
+      { key: 'linkErrors[]error', label: 'Failed Link Error', type: 'string' },
+      { key: 'fetchError', label: 'Read-back Error', type: 'string' },
+    ],
+  },
+};
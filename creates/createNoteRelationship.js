@@ -13,28 +13,13 @@
  * @see https://developer.productboard.com/v2.0.0/reference/setnoterelationship
  */
 
+const { linkNoteToEntity } = require('../lib/notes');
+
 const perform = async (z, bundle) => {
   const { noteId, targetEntityId } = bundle.inputData;
 
   // Create the relationship via POST to notes/{noteId}/relationships
-  // Request body format per v2 API docs:
-  // { data: { type: "link", target: { id: "<uuid>", type: "link" } } }
-  const response = await z.request({
-    url: `https://api.productboard.com/v2/notes/${noteId}/relationships`,
-    method: 'POST',
-    body: {
-      data: {
-        type: 'link',
-        target: {
-          id: targetEntityId,
-          type: 'link',
-        },
-      },
-    },
-  });
-
-  // API returns the note object on success (201), not relationship details
-  const note = response.data.data || response.data;
+  const note = await linkNoteToEntity(z, noteId, targetEntityId);
 
   // Return confirmation with the input IDs and note info
   return {
@@ -79,14 +64,18 @@ module.exports = {
         label: 'Note ID',
         type: 'string',
         required: true,
-        helpText: 'The UUID of the note to link (not the base64-encoded URL ID).',
+        dynamic: 'noteList.id.title',
+        search: 'findNotes.id',
+        helpText: 'The note to link. Choose a recent note, or enter its UUID (not the base64-encoded URL ID).',
       },
       {
         key: 'targetEntityId',
         label: 'Target Entity ID',
         type: 'string',
         required: true,
-        helpText: 'The UUID of the feature, product, or component to link to.',
+        dynamic: 'entityList.id.name',
+        search: 'listEntities.id',
+        helpText: 'The feature, product, or component to link to.',
       },
     ],
     sample,
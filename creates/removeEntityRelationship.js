@@ -0,0 +1,101 @@
+/**
+ * Remove Entity Relationship Action
+ *
+ * Removes a parent, child, or link relationship between two entities in Productboard API v2.0.0
+ *
+ * The entity's current relationships are checked first, so removing a relationship
+ * that doesn't exist fails with a clear message instead of a generic API error.
+ *
+ * API Endpoint: DELETE https://api.productboard.com/v2/entities/{id}/relationships/{type}/{targetId}
+ *
+ * @see https://developer.productboard.com/v2.0.0/reference/deleteentityrelationship
+ */
+
+const { fetchEntity, requestWithRetry } = require('../lib/utils');
+const {
+  RELATIONSHIP_TYPES,
+  fetchEntityRelationships,
+  buildRelationshipChangeResult,
+  relationshipChangeOutputFields,
+} = require('../lib/relationships');
+
+const perform = async (z, bundle) => {
+  const { entityId, relationshipType, relatedEntityId } = bundle.inputData;
+
+  const [entity, relationships] = await Promise.all([
+    fetchEntity(z, entityId),
+    fetchEntityRelationships(z, entityId),
+  ]);
+
+  const exists = relationships.some(
+    (rel) => rel.type === relationshipType && rel.target?.id === relatedEntityId
+  );
+  if (!exists) {
+    throw new z.errors.Error(
+      `Entity ${entityId} has no ${relationshipType} relationship with ${relatedEntityId}.`,
+      'InvalidRelationship',
+      400
+    );
+  }
+
+  // API returns 204 No Content on success
+  await requestWithRetry(z, {
+    url: `https://api.productboard.com/v2/entities/${entityId}/relationships/${relationshipType}/${relatedEntityId}`,
+    method: 'DELETE',
+  });
+
+  return buildRelationshipChangeResult(z, entity, relationshipType, relatedEntityId);
+};
+
+// Sample data for Zap editor testing
+const sample = {
+  id: '766ec003-95ef-45fc-9b2d-94532b247df2',
+  entityId: '766ec003-95ef-45fc-9b2d-94532b247df2',
+  entityType: 'feature',
+  relationshipType: 'link',
+  relatedEntityId: '017a2f72-d597-4e36-98b9-cee533018dd0',
+  relationships: [],
+};
+
+module.exports = {
+  key: 'removeEntityRelationship',
+  noun: 'Entity Relationship',
+  display: {
+    label: 'Remove Entity Relationship',
+    description: 'Removes a parent, child, or link relationship between two entities.',
+  },
+  operation: {
+    perform,
+    inputFields: [
+      {
+        key: 'entityId',
+        label: 'Entity ID',
+        type: 'string',
+        required: true,
+        dynamic: 'entityList.id.name',
+        search: 'listEntities.id',
+        helpText: 'The entity to remove the relationship from.',
+      },
+      {
+        key: 'relationshipType',
+        label: 'Relationship Type',
+        type: 'string',
+        choices: RELATIONSHIP_TYPES,
+        required: true,
+        default: 'link',
+        helpText: 'The type of relationship, as seen from this entity (see Get Entity Relationships).',
+      },
+      {
+        key: 'relatedEntityId',
+        label: 'Related Entity ID',
+        type: 'string',
+        required: true,
+        dynamic: 'entityList.id.name',
+        search: 'listEntities.id',
+        helpText: 'The other entity in the relationship.',
+      },
+    ],
+    sample,
+    outputFields: relationshipChangeOutputFields,
+  },
+};
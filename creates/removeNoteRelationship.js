@@ -0,0 +1,80 @@
+/**
+ * Remove Note Relationship Action
+ *
+ * Removes the link between a ProductBoard note (insight) and a feature, product, or component,
+ * e.g. to re-triage an insight that was linked to the wrong feature.
+ *
+ * API Endpoint: DELETE https://api.productboard.com/v2/notes/{noteId}/relationships/link/{targetId}
+ *
+ * @see https://developer.productboard.com/v2.0.0/reference/deletenoterelationship
+ */
+
+const { requestWithRetry } = require('../lib/utils');
+
+const perform = async (z, bundle) => {
+  const { noteId, targetEntityId } = bundle.inputData;
+
+  // API returns 204 No Content on success
+  await requestWithRetry(z, {
+    url: `https://api.productboard.com/v2/notes/${noteId}/relationships/link/${targetEntityId}`,
+    method: 'DELETE',
+  });
+
+  // Return confirmation with the input IDs
+  return {
+    success: true,
+    noteId: noteId,
+    targetEntityId: targetEntityId,
+    noteSelfLink: `https://api.productboard.com/v2/notes/${noteId}`,
+  };
+};
+
+// Sample data for Zap editor testing
+const sample = {
+  success: true,
+  noteId: '62099d4c-571f-405d-abc0-9e3925d053ee',
+  targetEntityId: '7e8581c9-900d-40f5-bf91-5d5cb790a53d',
+  noteSelfLink: 'https://api.productboard.com/v2/notes/62099d4c-571f-405d-abc0-9e3925d053ee',
+};
+
+// Output field definitions
+const outputFields = [
+  { key: 'success', label: 'Success', type: 'boolean' },
+  { key: 'noteId', label: 'Note ID', type: 'string' },
+  { key: 'targetEntityId', label: 'Unlinked Entity ID', type: 'string' },
+  { key: 'noteSelfLink', label: 'Note API Link', type: 'string' },
+];
+
+module.exports = {
+  key: 'removeNoteRelationship',
+  noun: 'Note Relationship',
+  display: {
+    label: 'Remove Note Relationship',
+    description: 'Unlinks a ProductBoard note (insight) from a feature, product, or component.',
+  },
+  operation: {
+    perform,
+    inputFields: [
+      {
+        key: 'noteId',
+        label: 'Note ID',
+        type: 'string',
+        required: true,
+        dynamic: 'noteList.id.title',
+        search: 'findNotes.id',
+        helpText: 'The note to unlink.',
+      },
+      {
+        key: 'targetEntityId',
+        label: 'Linked Entity ID',
+        type: 'string',
+        required: true,
+        dynamic: 'entityList.id.name',
+        search: 'listEntities.id',
+        helpText: 'The feature, product, or component to unlink the note from.',
+      },
+    ],
+    sample,
+    outputFields,
+  },
+};
@@ -0,0 +1,98 @@
+/**
+ * Set Entity Parent Action
+ *
+ * Sets or changes the parent of an entity in Productboard API v2.0.0
+ * (e.g., move a feature under a different component).
+ *
+ * Both entities are fetched first so the parent/child type pair can be validated
+ * before anything is changed. An existing parent is replaced.
+ *
+ * @see https://developer.productboard.com/v2.0.0/reference/createentityrelationship
+ */
+
+const { fetchEntity, requestWithRetry } = require('../lib/utils');
+const {
+  validateParent,
+  buildRelationshipChangeResult,
+  relationshipChangeOutputFields,
+} = require('../lib/relationships');
+
+const perform = async (z, bundle) => {
+  const { entityId, parentId } = bundle.inputData;
+
+  const [entity, parent] = await Promise.all([
+    fetchEntity(z, entityId),
+    fetchEntity(z, parentId),
+  ]);
+
+  const error = validateParent(entity.type, parent.type);
+  if (error) {
+    throw new z.errors.Error(error, 'InvalidRelationship', 400);
+  }
+
+  await requestWithRetry(z, {
+    url: `https://api.productboard.com/v2/entities/${entityId}/relationships`,
+    method: 'POST',
+    body: {
+      data: {
+        type: 'parent',
+        target: { id: parentId },
+      },
+    },
+  });
+
+  return buildRelationshipChangeResult(z, entity, 'parent', parentId);
+};
+
+// Sample data for Zap editor testing
+const sample = {
+  id: '766ec003-95ef-45fc-9b2d-94532b247df2',
+  entityId: '766ec003-95ef-45fc-9b2d-94532b247df2',
+  entityType: 'feature',
+  relationshipType: 'parent',
+  relatedEntityId: '0b1e5cf4-4f5c-4c1e-9d6b-2f3a1d3c9e11',
+  relationships: [
+    {
+      id: '766ec003-95ef-45fc-9b2d-94532b247df2_0b1e5cf4-4f5c-4c1e-9d6b-2f3a1d3c9e11',
+      sourceEntityId: '766ec003-95ef-45fc-9b2d-94532b247df2',
+      relationshipType: 'parent',
+      relatedEntityId: '0b1e5cf4-4f5c-4c1e-9d6b-2f3a1d3c9e11',
+      relatedEntityType: 'component',
+      relatedEntityUrl: 'https://api.productboard.com/v2/entities/0b1e5cf4-4f5c-4c1e-9d6b-2f3a1d3c9e11',
+    },
+  ],
+};
+
+module.exports = {
+  key: 'setEntityParent',
+  noun: 'Entity Relationship',
+  display: {
+    label: 'Set Entity Parent',
+    description: 'Sets or changes the parent of an entity (e.g., moves a feature under a different component).',
+  },
+  operation: {
+    perform,
+    inputFields: [
+      {
+        key: 'entityId',
+        label: 'Entity ID',
+        type: 'string',
+        required: true,
+        dynamic: 'entityList.id.name',
+        search: 'listEntities.id',
+        helpText: 'The entity to move.',
+      },
+      {
+        key: 'parentId',
+        label: 'New Parent Entity ID',
+        type: 'string',
+        required: true,
+        dynamic: 'parentEntityList.id.name',
+        search: 'listEntities.id',
+        helpText: 'The new parent (e.g., a product or component for a feature, a feature for a subfeature).',
+      },
+    ],
+    sample,
+    outputFields: relationshipChangeOutputFields,
+  },
+};
@@ -0,0 +1,238 @@
+/**
+ * Update Entity Action
+ *
+ * Updates standard fields on any entity in Productboard API v2.0.0
+ *
+ * Only fields with a value are sent, so blank inputs leave the existing value untouched.
+ * Fields listed in "Clear Fields" are explicitly set to null.
+ *
+ * @see https://developer.productboard.com/v2.0.0/reference/update-entity
+ */
+
+const {
+  ENTITY_TYPES,
+  formatEntity,
+  entityOutputFields,
+  requestWithRetry,
+  toDateOnly,
+  isUuid,
+} = require('../lib/utils');
+const {
+  customFieldInputFields,
+  customFieldOutputFields,
+  buildCustomFieldValues,
+} = require('../lib/configurations');
+const { toRichText, richTextFormatField } = require('../lib/richText');
+
+const CLEARABLE_FIELDS = {
+  description: 'Description',
+  owner: 'Owner',
+  startDate: 'Timeframe Start Date',
+  endDate: 'Timeframe End Date',
+};
+
+const ARCHIVED_OPTIONS = {
+  false: 'Active',
+  true: 'Archived',
+};
+
+const perform = async (z, bundle) => {
+  const { entityId, entityType, name, description, status, ownerEmail, archived,
+          startDate, endDate } = bundle.inputData;
+  const clearFields = bundle.inputData.clearFields || [];
+
+  const fields = {};
+
+  if (name) {
+    fields.name = name;
+  }
+
+  if (description) {
+    fields.description = toRichText(description, bundle.inputData.descriptionFormat);
+  } else if (clearFields.includes('description')) {
+    fields.description = null;
+  }
+
+  // Status can be given by name ("In Progress") or by ID
+  if (status) {
+    fields.status = isUuid(status) ? { id: status.trim() } : { name: status.trim() };
+  }
+
+  if (ownerEmail) {
+    fields.owner = { email: ownerEmail.trim() };
+  } else if (clearFields.includes('owner')) {
+    fields.owner = null;
+  }
+
+  if (archived !== undefined && archived !== null && archived !== '') {
+    fields.archived = String(archived) === 'true';
+  }
+
+  // Timeframe: only the provided (or cleared) dates are sent
+  const timeframe = {};
+  if (startDate) {
+    timeframe.startDate = toDateOnly(startDate);
+  } else if (clearFields.includes('startDate')) {
+    timeframe.startDate = null;
+  }
+  if (endDate) {
+    timeframe.endDate = toDateOnly(endDate);
+  } else if (clearFields.includes('endDate')) {
+    timeframe.endDate = null;
+  }
+  if (Object.keys(timeframe).length > 0) {
+    fields.timeframe = timeframe;
+  }
+
+  // Workspace custom fields from the dynamic inputs
+  Object.assign(fields, await buildCustomFieldValues(z, entityType, bundle.inputData));
+
+  if (Object.keys(fields).length === 0) {
+    throw new z.errors.Error(
+      'Nothing to update. Provide at least one field value or choose a field to clear.',
+      'InvalidInput',
+      400
+    );
+  }
+
+  await requestWithRetry(z, {
+    url: `https://api.productboard.com/v2/entities/${entityId}`,
+    method: 'PATCH',
+    body: {
+      data: {
+        fields,
+      },
+    },
+  });
+
+  // PATCH returns minimal data, so fetch the full entity to return complete info
+  const getResponse = await requestWithRetry(z, {
+    url: `https://api.productboard.com/v2/entities/${entityId}`,
+    method: 'GET',
+  });
+
+  const updatedEntity = getResponse.data.data || getResponse.data;
+  return formatEntity(updatedEntity, bundle.authData);
+};
+
+// Sample data for Zap editor testing
+const sample = {
+  id: 'ent_feature123',
+  type: 'feature',
+  name: 'User Authentication',
+  description: '<p>Implement secure user authentication flow</p>',
+  descriptionPlainText: 'Implement secure user authentication flow',
+  url: 'https://acme.productboard.com/feature-board/165206/detail/feature/ent_feature123',
+
+  status: 'In Progress',
+  statusId: 'status_123',
+  archived: false,
+
+  ownerEmail: 'pm@example.com',
+  ownerId: 'member_456',
+
+  startDate: '2025-01-01',
+  endDate: '2025-03-31',
+
+  createdAt: '2025-01-01T00:00:00Z',
+  updatedAt: '2025-12-14T10:00:00Z',
+
+  health: null,
+};
+
+module.exports = {
+  key: 'updateEntity',
+  noun: 'Entity',
+  display: {
+    label: 'Update Entity',
+    description: 'Updates the name, description, status, owner, timeframe, or archived flag of a Productboard entity.',
+  },
+  operation: {
+    perform,
+    inputFields: [
+      {
+        key: 'entityId',
+        label: 'Entity ID',
+        type: 'string',
+        required: true,
+        dynamic: 'entityList.id.name',
+        search: 'listEntities.id',
+        helpText: 'The entity to update (feature, initiative, objective, etc.).',
+      },
+      {
+        key: 'entityType',
+        label: 'Entity Type',
+        type: 'string',
+        choices: ENTITY_TYPES,
+        required: false,
+        altersDynamicFields: true,
+        helpText: 'Optional: select the entity\'s type to also set its custom fields.',
+      },
+      {
+        key: 'name',
+        label: 'Name',
+        type: 'string',
+        required: false,
+        helpText: 'New name. Leave blank to keep the current name.',
+      },
+      {
+        key: 'description',
+        label: 'Description',
+        type: 'text',
+        required: false,
+        helpText: 'New description as plain text, Markdown, or HTML (see Description Format). Leave blank to keep the current description.',
+      },
+      richTextFormatField('descriptionFormat', 'Description'),
+      {
+        key: 'status',
+        label: 'Status',
+        type: 'string',
+        required: false,
+        dynamic: 'statusList.name.name',
+        helpText: 'New status, by name exactly as it appears in Productboard (e.g., "In Progress") or by status ID.',
+      },
+      {
+        key: 'ownerEmail',
+        label: 'Owner Email',
+        type: 'string',
+        required: false,
+        dynamic: 'memberList.email.name',
+        helpText: 'Email of the new owner. Leave blank to keep the current owner.',
+      },
+      {
+        key: 'archived',
+        label: 'Archived',
+        type: 'string',
+        choices: ARCHIVED_OPTIONS,
+        required: false,
+        helpText: 'Archive or restore the entity. Leave blank to keep it as is.',
+      },
+      {
+        key: 'startDate',
+        label: 'Timeframe Start Date',
+        type: 'datetime',
+        required: false,
+        helpText: 'New timeframe start date (YYYY-MM-DD).',
+      },
+      {
+        key: 'endDate',
+        label: 'Timeframe End Date',
+        type: 'datetime',
+        required: false,
+        helpText: 'New timeframe end date (YYYY-MM-DD).',
+      },
+      {
+        key: 'clearFields',
+        label: 'Clear Fields',
+        type: 'string',
+        list: true,
+        choices: CLEARABLE_FIELDS,
+        required: false,
+        helpText: 'Fields to explicitly clear. A value entered above for the same field takes precedence.',
+      },
+      customFieldInputFields,
+    ],
+    sample,
+    outputFields: [...entityOutputFields, customFieldOutputFields],
+  },
+};
@@ -0,0 +1,22 @@
+/**
+ * Hydrators
+ *
+ * Resolve dehydrated pointers (z.dehydrate) into full data only when a Zap
+ * actually uses the field, saving API calls for unused data.
+ *
+ * @see https://github.com/zapier/zapier-platform/blob/main/packages/cli/README.md#dehydration
+ */
+
+const { formatEntity, fetchEntity } = require('./lib/utils');
+
+/**
+ * Fetch and format one entity: inputData { entityId }
+ */
+const entity = async (z, bundle) => {
+  const rawEntity = await fetchEntity(z, bundle.inputData.entityId);
+  return formatEntity(rawEntity, bundle.authData);
+};
+
+module.exports = {
+  entity,
+};
@@ -5,10 +5,16 @@
  *
  * Features:
  * - List entities (features, initiatives, objectives, etc.)
+ * - Trigger on new and updated entities, health updates, stale health, and new notes
+ * - Find notes by text, tags, owner, company, or linked feature
  * - Get a specific entity with health update details
- * - Get entity relationships (parent, child, linked entities)
- * - Create/update health status for entities
- * - Create note relationships (link insights to features)
+ * - Get, set, and remove entity relationships (parent, child, linked entities)
+ * - Walk an entity's hierarchy (all descendants or ancestors)
+ * - Health rollup reports for an entity subtree or entity type
+ * - Create and update entities (features, initiatives, objectives, etc.)
+ * - Find an entity by name, creating it if missing
+ * - Create/update health status for entities, one at a time or in bulk
+ * - Create notes and add, list, or remove note relationships (link insights to features)
  *
  * @see https://developer.productboard.com/v2.0.0/reference/introduction
  */
@@ -16,20 +22,53 @@
 const { version } = require('./package.json');
 
 const authentication = require('./authentication');
+const hydrators = require('./hydrators');
 const healthUpdates = require('./triggers/healthUpdates');
+const newEntity = require('./triggers/newEntity');
+const updatedEntity = require('./triggers/updatedEntity');
+const newNote = require('./triggers/newNote');
+const staleHealth = require('./triggers/staleHealth');
+const entityList = require('./triggers/entityList');
+const parentEntityList = require('./triggers/parentEntityList');
+const productList = require('./triggers/productList');
+const releaseList = require('./triggers/releaseList');
+const memberList = require('./triggers/memberList');
+const statusList = require('./triggers/statusList');
+const noteList = require('./triggers/noteList');
 const listEntities = require('./searches/listEntities');
 const getEntity = require('./searches/getEntity');
+const findEntity = require('./searches/findEntity');
 const getEntityRelationships = require('./searches/getEntityRelationships');
+const getEntityHierarchy = require('./searches/getEntityHierarchy');
+const getHealthRollup = require('./searches/getHealthRollup');
+const findNotes = require('./searches/findNotes');
+const getNoteRelationships = require('./searches/getNoteRelationships');
+const createEntity = require('./creates/createEntity');
+const updateEntity = require('./creates/updateEntity');
+const setEntityParent = require('./creates/setEntityParent');
+const createEntityLink = require('./creates/createEntityLink');
+const removeEntityRelationship = require('./creates/removeEntityRelationship');
 const createHealthUpdate = require('./creates/createHealthUpdate');
+const bulkHealthUpdate = require('./creates/bulkHealthUpdate');
+const createNote = require('./creates/createNote');
 const createNoteRelationship = require('./creates/createNoteRelationship');
+const removeNoteRelationship = require('./creates/removeNoteRelationship');
+const { RETRYABLE_STATUSES, getRetryAfterMs } = require('./lib/utils');
+const { getRequiredScope, parseScopes } = require('./lib/scopes');
+
+// Delay suggested to Zapier when the API gives no Retry-After hint
+const DEFAULT_THROTTLE_DELAY_SECONDS = 60;
 
 /**
  * Middleware: Add authentication header to all requests
+ * OAuth connections carry an access_token; token connections a personal apiToken.
+ * Both are sent as bearer tokens.
  */
 const addAuthHeader = (request, z, bundle) => {
-  if (bundle.authData.apiToken) {
+  const token = bundle.authData.access_token || bundle.authData.apiToken;
+  if (token) {
     request.headers = request.headers || {};
-    request.headers['Authorization'] = `Bearer ${bundle.authData.apiToken}`;
+    request.headers['Authorization'] = `Bearer ${token}`;
     // Note: Don't set Content-Type here - Zapier sets it automatically for JSON bodies
     // Setting it manually causes duplicate headers: "application/json, application/json"
     request.headers['Accept'] = 'application/json';
@@ -37,6 +76,27 @@ const addAuthHeader = (request, z, bundle) => {
   return request;
 };
 
+/**
+ * Explain a 403: name the missing scope when the request needs one the connection
+ * wasn't granted (or the API says so), otherwise a plain permission error
+ */
+const getForbiddenMessage = (response, bundle) => {
+  const request = response.request || {};
+  const required = getRequiredScope(request.method, request.url);
+  const granted = parseScopes(bundle.authData?.scope);
+  const errorBody = response.data || {};
+  const bodyText = typeof errorBody === 'string' ? errorBody : JSON.stringify(errorBody);
+  const reportsScope = /scope/i.test(bodyText) || /insufficient_scope/i.test(response.headers?.get?.('www-authenticate') || '');
+
+  if (required && (reportsScope || (granted.length > 0 && !granted.includes(required.scope)))) {
+    return `Access denied. This step needs the "${required.scope}" permission (${required.access} ${required.label}), ` +
+      'which this Productboard connection was not granted. Reconnect your Productboard account and approve all requested access, ' +
+      'or connect as a user who can make this change.';
+  }
+
+  return 'Access denied. Your Productboard user may not have permission for this action.';
+};
+
 /**
  * Middleware: Handle API errors with helpful messages
  */
@@ -47,18 +107,14 @@ const handleErrors = (response, z, bundle) => {
     // Common error scenarios
     if (response.status === 401) {
       throw new z.errors.Error(
-        'Authentication failed. Please check your Productboard API token.',
+        'Authentication failed. Please reconnect your Productboard account or check your API token.',
         'AuthenticationError',
         response.status
       );
     }
     
     if (response.status === 403) {
-      throw new z.errors.Error(
-        'Access denied. Your API token may not have permission for this action.',
-        'ForbiddenError',
-        response.status
-      );
+      throw new z.errors.Error(getForbiddenMessage(response, bundle), 'ForbiddenError', response.status);
     }
     
     if (response.status === 404) {
@@ -69,17 +125,28 @@ const handleErrors = (response, z, bundle) => {
       );
     }
     
-    if (response.status === 429) {
-      throw new z.errors.Error(
-        'Rate limit exceeded. Productboard allows 50 requests/second. Please retry.',
-        'RateLimitError',
-        response.status
+    // Rate limits and transient outages: throw ThrottledError so the step is
+    // retried (see requestWithRetry) and, failing that, rescheduled by Zapier
+    if (RETRYABLE_STATUSES.includes(response.status)) {
+      const retryAfterMs = getRetryAfterMs(response);
+      const message = response.status === 429
+        ? 'Rate limit exceeded. Productboard allows 50 requests/second. Zapier will retry shortly.'
+        : `Productboard is temporarily unavailable (${response.status}). Zapier will retry shortly.`;
+      const error = new z.errors.ThrottledError(
+        message,
+        retryAfterMs === null ? DEFAULT_THROTTLE_DELAY_SECONDS : Math.max(1, Math.ceil(retryAfterMs / 1000))
       );
+      error.status = response.status;
+      error.retryAfterMs = retryAfterMs;
+      throw error;
     }
     
     // Extract error message from various possible formats
     let message = 'Unknown API error';
-    if (errorBody.message) {
+    if (errorBody.error_description) {
+      // OAuth token endpoint format: { error: "invalid_grant", error_description: "..." }
+      message = `${errorBody.error}: ${errorBody.error_description}`;
+    } else if (errorBody.message) {
       message = errorBody.message;
     } else if (errorBody.error) {
       // Handle both string and nested object formats
@@ -115,6 +182,9 @@ module.exports = {
 
   authentication,
 
+  // Resolve dehydrated pointers on demand
+  hydrators,
+
   // Request middleware
   beforeRequest: [addAuthHeader],
 
@@ -124,22 +194,61 @@ module.exports = {
   // Triggers - for polling/webhooks
   triggers: {
     [healthUpdates.key]: healthUpdates,
+    [newEntity.key]: newEntity,
+    [updatedEntity.key]: updatedEntity,
+    [newNote.key]: newNote,
+    [staleHealth.key]: staleHealth,
+
+    // Hidden triggers backing dynamic dropdowns
+    [entityList.key]: entityList,
+    [parentEntityList.key]: parentEntityList,
+    [productList.key]: productList,
+    [releaseList.key]: releaseList,
+    [memberList.key]: memberList,
+    [statusList.key]: statusList,
+    [noteList.key]: noteList,
   },
 
   // Searches - for finding records
   searches: {
     [listEntities.key]: listEntities,
     [getEntity.key]: getEntity,
+    [findEntity.key]: findEntity,
     [getEntityRelationships.key]: getEntityRelationships,
+    [getEntityHierarchy.key]: getEntityHierarchy,
+    [getHealthRollup.key]: getHealthRollup,
+    [findNotes.key]: findNotes,
+    [getNoteRelationships.key]: getNoteRelationships,
   },
 
   // Creates - for creating/updating records
   creates: {
+    [createEntity.key]: createEntity,
+    [updateEntity.key]: updateEntity,
+    [setEntityParent.key]: setEntityParent,
+    [createEntityLink.key]: createEntityLink,
+    [removeEntityRelationship.key]: removeEntityRelationship,
     [createHealthUpdate.key]: createHealthUpdate,
+    [bulkHealthUpdate.key]: bulkHealthUpdate,
+    [createNote.key]: createNote,
     [createNoteRelationship.key]: createNoteRelationship,
+    [removeNoteRelationship.key]: removeNoteRelationship,
+  },
+
+  // Search-or-create pairs - "create it if it doesn't exist yet"
+  searchOrCreates: {
+    [findEntity.key]: {
+      key: findEntity.key,
+      display: {
+        label: 'Find or Create Entity',
+        description: 'Finds an entity by name, or creates it if none exists.',
+      },
+      search: findEntity.key,
+      create: createEntity.key,
+    },
   },
 
-  // Resources can be used for dynamic dropdowns (future enhancement)
+  // Dynamic dropdowns are backed by the hidden triggers above
   resources: {},
 };
 
@@ -0,0 +1,186 @@
+/**
+ * Entity configuration helpers
+ *
+ * Productboard describes each entity type's fields (including workspace-specific
+ * custom fields) via GET /v2/entities/configurations. These helpers turn that into
+ * dynamic Zapier input/output fields and convert input values back to API values.
+ *
+ * @see https://developer.productboard.com/v2.0.0/reference/list-entity-configurations
+ */
+
+const { requestWithRetry, isUuid } = require('./utils');
+const { toRichText } = require('./richText');
+
+// Custom field keys are prefixed so they can be picked out of inputData
+const CUSTOM_FIELD_PREFIX = 'custom__';
+
+/**
+ * Normalize one configuration's fields (object keyed by ID or array) into a list
+ */
+const normalizeFields = (fields) => {
+  const list = Array.isArray(fields)
+    ? fields
+    : Object.keys(fields || {}).map((id) => ({ id, ...fields[id] }));
+
+  return list.map((field) => ({
+    id: field.id,
+    name: field.name || field.label || field.id,
+    schema: field.schema || field.type || '',
+    // Dropdown fields may list their options
+    options: field.values || field.options || [],
+  }));
+};
+
+/**
+ * Fetch entity configurations, optionally limited to one entity type
+ * Returns [{ type, fields: [{ id, name, schema, options }] }]
+ */
+const getEntityConfigurations = async (z, entityType) => {
+  const response = await requestWithRetry(z, {
+    url: 'https://api.productboard.com/v2/entities/configurations',
+    method: 'GET',
+  });
+
+  const configurations = response.data.data || [];
+  return configurations
+    .filter((config) => !entityType || config.type === entityType)
+    .map((config) => ({ type: config.type, fields: normalizeFields(config.fields) }));
+};
+
+/**
+ * Custom (workspace-defined) fields across the given configurations, deduplicated by ID
+ */
+const getCustomFields = (configurations) => {
+  const byId = {};
+  configurations.forEach((config) => {
+    config.fields
+      .filter((field) => isUuid(field.id))
+      .forEach((field) => {
+        byId[field.id] = field;
+      });
+  });
+  return Object.values(byId);
+};
+
+const schemaIs = (field, ...kinds) =>
+  kinds.some((kind) => field.schema.toLowerCase().includes(kind.toLowerCase()));
+
+/**
+ * Dynamic output fields: label each custom field by its name
+ * Uses the selected entity type when the step has one, otherwise all types.
+ */
+const customFieldOutputFields = async (z, bundle) => {
+  const configurations = await getEntityConfigurations(z, bundle.inputData.entityType);
+
+  return getCustomFields(configurations).map((field) => ({
+    key: `customFields__${field.id}`,
+    label: field.name,
+    type: schemaIs(field, 'Number') ? 'number' : 'string',
+  }));
+};
+
+/**
+ * Dynamic input fields for setting custom fields on the selected entity type
+ */
+const customFieldInputFields = async (z, bundle) => {
+  const { entityType } = bundle.inputData;
+  if (!entityType) {
+    return [];
+  }
+
+  const configurations = await getEntityConfigurations(z, entityType);
+
+  return getCustomFields(configurations).map((field) => {
+    const inputField = {
+      key: `${CUSTOM_FIELD_PREFIX}${field.id}`,
+      label: field.name,
+      type: 'string',
+      required: false,
+    };
+
+    if (schemaIs(field, 'Number')) {
+      inputField.type = 'number';
+    } else if (schemaIs(field, 'RichText')) {
+      inputField.type = 'text';
+    }
+
+    if (schemaIs(field, 'MultiSelect')) {
+      inputField.list = true;
+    }
+
+    if (field.options.length > 0) {
+      inputField.choices = field.options.map((option) => ({
+        value: option.name || option.value || option.id,
+        sample: option.name || option.value || option.id,
+        label: option.name || option.label || option.value || option.id,
+      }));
+    }
+
+    if (schemaIs(field, 'Member')) {
+      inputField.helpText = 'Member email or ID.';
+    } else if (schemaIs(field, 'Select', 'Dropdown')) {
+      inputField.helpText = 'Option name exactly as it appears in Productboard.';
+    }
+
+    return inputField;
+  });
+};
+
+/**
+ * Convert one input value to the API value for the field's schema
+ */
+const toCustomFieldValue = (field, value) => {
+  if (schemaIs(field, 'Number')) {
+    return Number(value);
+  }
+  if (schemaIs(field, 'MultiSelect')) {
+    const names = Array.isArray(value) ? value : String(value).split(',');
+    return names.map((name) => name.trim()).filter(Boolean).map((name) => ({ name }));
+  }
+  if (schemaIs(field, 'Select', 'Dropdown')) {
+    return isUuid(value) ? { id: value.trim() } : { name: String(value).trim() };
+  }
+  if (schemaIs(field, 'Member')) {
+    return isUuid(value) ? { id: value.trim() } : { email: String(value).trim() };
+  }
+  if (schemaIs(field, 'RichText')) {
+    return toRichText(String(value));
+  }
+  return value;
+};
+
+/**
+ * Build the custom field part of a create/update payload from inputData
+ * Blank values are omitted. Returns {} without an API call when no custom inputs are set.
+ */
+const buildCustomFieldValues = async (z, entityType, inputData) => {
+  const ids = Object.keys(inputData)
+    .filter((key) => key.startsWith(CUSTOM_FIELD_PREFIX))
+    .filter((key) => inputData[key] !== '' && inputData[key] !== null && inputData[key] !== undefined)
+    .map((key) => key.slice(CUSTOM_FIELD_PREFIX.length));
+
+  if (ids.length === 0) {
+    return {};
+  }
+
+  const configurations = await getEntityConfigurations(z, entityType);
+  const fieldsById = {};
+  getCustomFields(configurations).forEach((field) => {
+    fieldsById[field.id] = field;
+  });
+
+  const values = {};
+  ids.forEach((id) => {
+    const field = fieldsById[id] || { id, schema: '' };
+    values[id] = toCustomFieldValue(field, inputData[`${CUSTOM_FIELD_PREFIX}${id}`]);
+  });
+  return values;
+};
+
+module.exports = {
+  getEntityConfigurations,
+  getCustomFields,
+  customFieldOutputFields,
+  customFieldInputFields,
+  buildCustomFieldValues,
+};
@@ -0,0 +1,357 @@
+/**
+ * Health helpers: writing health updates, rollups and staleness
+ *
+ * Build and send health updates (single or bulk), aggregate the health of many
+ * entities (e.g., everything under an initiative) into counts, the worst status,
+ * stale counts, and a postable summary, and flag entities whose health needs attention.
+ *
+ * @see https://developer.productboard.com/v2.0.0/reference/field-value-types
+ */
+
+const { HEALTH_STATUS_OPTIONS, requestWithRetry, fetchEntity, fetchAllPages } = require('./utils');
+const { escapeHtml, toRichText, htmlToPlainText } = require('./richText');
+
+const HEALTH_MODE_OPTIONS = {
+  manual: 'Manual',
+  calculated: 'Calculated',
+};
+
+// How a new health comment relates to the current one
+const COMMENT_MODE_OPTIONS = {
+  replace: 'Replace the current comment',
+  append: 'Add below the current comment',
+  keep: 'Keep the current comment when no new comment is given',
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Entities listed per status in the summary; the rest are counted as "and N more"
+const SUMMARY_NAME_LIMIT = 10;
+
+// Statuses listed by name in the summary, worst first
+const ATTENTION_STATUSES = ['offTrack', 'atRisk'];
+
+/**
+ * Map a status key or label in any case ("offTrack", "Off Track", "off-track")
+ * to its HealthStatusEnum key, or null if it isn't one
+ */
+const normalizeHealthStatus = (value) => {
+  const wanted = String(value || '').replace(/[\s_-]/g, '').toLowerCase();
+  if (!wanted) return null;
+  return Object.keys(HEALTH_STATUS_OPTIONS).find((key) =>
+    key.toLowerCase() === wanted || HEALTH_STATUS_OPTIONS[key].replace(/\s/g, '').toLowerCase() === wanted
+  ) || null;
+};
+
+/**
+ * Health field value per Productboard API v2 spec
+ * Comment should be HTML (RichTextFieldValue), converted from commentFormat
+ */
+const buildHealthPayload = ({ status, comment, commentFormat, mode, createdById }) => {
+  const health = {
+    status,
+    mode: mode || 'manual',
+  };
+
+  if (comment) {
+    health.comment = toRichText(comment, commentFormat);
+  }
+
+  // Optional: specify who created the health update
+  if (createdById) {
+    health.createdBy = { id: createdById };
+  }
+
+  return health;
+};
+
+/**
+ * Combine the current and new comment HTML according to a COMMENT_MODE_OPTIONS key
+ */
+const mergeHealthComment = (currentComment, newComment, commentMode) => {
+  if (commentMode === 'append' && currentComment && newComment) {
+    return `${currentComment}${newComment}`;
+  }
+  if (commentMode === 'append' || commentMode === 'keep') {
+    return newComment || currentComment || '';
+  }
+  return newComment || '';
+};
+
+const normalizeCommentText = (html) => htmlToPlainText(html).replace(/\s+/g, ' ').trim();
+
+/**
+ * True when a health payload would not change the entity's current (raw API) health:
+ * same status and the same comment text, ignoring markup and whitespace.
+ * Compares the incoming comment before merging, so re-appending the comment the
+ * current one already ends with (or keeping it) counts as unchanged.
+ */
+const isSameHealth = (currentHealth, health, commentMode = 'replace') => {
+  if ((currentHealth?.status || 'notSet') !== health.status) return false;
+
+  const current = normalizeCommentText(currentHealth?.comment);
+  const incoming = normalizeCommentText(health.comment);
+  if (!incoming) {
+    return commentMode === 'replace' ? !current : true;
+  }
+  if (commentMode === 'append') {
+    return current === incoming || current.endsWith(` ${incoming}`);
+  }
+  return current === incoming;
+};
+
+/**
+ * PATCH an entity's health
+ * API v2 format: { data: { fields: { health: {...} } } }
+ */
+const patchEntityHealth = (z, entityId, health) =>
+  requestWithRetry(z, {
+    url: `https://api.productboard.com/v2/entities/${entityId}`,
+    method: 'PATCH',
+    body: {
+      data: {
+        fields: { health },
+      },
+    },
+  });
+
+/**
+ * PATCH an entity's health, then fetch the entity (PATCH returns minimal data)
+ */
+const updateEntityHealth = async (z, entityId, health) => {
+  await patchEntityHealth(z, entityId, health);
+  return fetchEntity(z, entityId);
+};
+
+// Upper bound on history pages per entity; paging normally stops once past `since`
+const HISTORY_MAX_PAGES = 10;
+// Once the listing is known to be missing it isn't requested again for this long
+const HISTORY_UNAVAILABLE_TTL_SECONDS = 60 * 60 * 24;
+
+/**
+ * Normalize one health history entry to the health field shape used by formatHealth
+ */
+const toHealthValue = (update) => {
+  const fields = update.fields || update;
+  return {
+    id: update.id,
+    status: fields.status,
+    previousStatus: fields.previousStatus || '',
+    mode: fields.mode,
+    comment: fields.comment || '',
+    lastUpdatedAt: fields.lastUpdatedAt || update.createdAt,
+    createdBy: fields.createdBy || update.createdBy,
+  };
+};
+
+/**
+ * An entity's health updates, oldest first, via GET entities/{id}/health-updates
+ *
+ * Requested newest first and paged only until an update older than `since` (a
+ * timestamp in ms) turns up, which also supplies the previous status of the oldest
+ * update in the window. Each entry's previousStatus is filled from the entry before
+ * it when the API leaves it out.
+ *
+ * Returns null on a 404, which means either no history listing or a deleted entity;
+ * see isHistoryListingMissing to tell them apart.
+ */
+const fetchHealthHistory = async (z, entity, { since = 0 } = {}) => {
+  let items;
+  try {
+    items = await fetchAllPages(
+      z,
+      {
+        url: `https://api.productboard.com/v2/entities/${entity.id}/health-updates`,
+        method: 'GET',
+        params: { sort: '-createdAt' },
+      },
+      {
+        maxPages: HISTORY_MAX_PAGES,
+        stopWhen: (updates) =>
+          updates.some((update) => new Date(toHealthValue(update).lastUpdatedAt).getTime() < since),
+      }
+    );
+  } catch (error) {
+    if (error.status === 404) return null;
+    throw error;
+  }
+
+  const history = items
+    .map(toHealthValue)
+    .sort((a, b) => new Date(a.lastUpdatedAt) - new Date(b.lastUpdatedAt));
+  history.forEach((update, index) => {
+    if (!update.previousStatus && index > 0) {
+      update.previousStatus = history[index - 1].status;
+    }
+  });
+  return history;
+};
+
+/**
+ * After a history 404: true when the entity itself still exists, so it's the listing
+ * that is missing, false when the entity was deleted since it was listed
+ */
+const isHistoryListingMissing = async (z, entityId) => {
+  try {
+    await fetchEntity(z, entityId);
+    return true;
+  } catch (error) {
+    if (error.status === 404) return false;
+    throw error;
+  }
+};
+
+// z.cache takes no scope in this core version, so the key carries the Zap
+const getHistoryUnavailableKey = (bundle) => `healthHistory:unavailable:${bundle.meta?.zap?.id || 'test'}`;
+
+/**
+ * Whether an earlier poll of this Zap found no health history listing; z.cache is
+ * unavailable outside Zapier, so failures mean "try the listing"
+ */
+const isHealthHistoryUnavailable = async (z, bundle) => {
+  try {
+    return Boolean(await z.cache.get(getHistoryUnavailableKey(bundle)));
+  } catch (error) {
+    return false;
+  }
+};
+
+const markHealthHistoryUnavailable = async (z, bundle) => {
+  try {
+    await z.cache.set(getHistoryUnavailableKey(bundle), true, HISTORY_UNAVAILABLE_TTL_SECONDS);
+  } catch (error) {
+    z.console.log('Could not remember that health history is unavailable', error.message);
+  }
+};
+
+/**
+ * True when health was never updated or last updated more than staleDays ago
+ */
+const isHealthStale = (entity, staleDays, now = Date.now()) => {
+  const lastUpdatedAt = entity.health?.lastUpdatedAt;
+  if (!lastUpdatedAt) return true;
+  return now - new Date(lastUpdatedAt).getTime() > staleDays * DAY_MS;
+};
+
+/**
+ * Why a formatted entity's health needs attention, or null if it doesn't
+ *
+ * - notSet: no health on an entity whose status is one of activeStatuses (never
+ *   when activeStatuses is empty, so finished entities don't alert)
+ * - stale: health not updated for more than staleDays
+ *
+ * `windowStart` is the health update the staleness is measured from, so callers
+ * can tell one stale period from the next.
+ */
+const getHealthAttention = (entity, { staleDays, activeStatuses = [], now = Date.now() }) => {
+  const status = entity.health?.status || 'notSet';
+  const lastUpdatedAt = entity.health?.lastUpdatedAt || '';
+  const daysSinceUpdate = lastUpdatedAt
+    ? Math.floor((now - new Date(lastUpdatedAt).getTime()) / DAY_MS)
+    : null;
+
+  if (status === 'notSet') {
+    return activeStatuses.includes(entity.status)
+      ? { reason: 'notSet', windowStart: lastUpdatedAt, daysSinceUpdate }
+      : null;
+  }
+
+  if (!isHealthStale(entity, staleDays, now)) return null;
+  return { reason: 'stale', windowStart: lastUpdatedAt, daysSinceUpdate };
+};
+
+/**
+ * Aggregate formatted entities (see formatEntity) by health status
+ * Entities without health count as `notSet`. The worst status ignores `notSet`
+ * unless nothing has a status. Only entities with a health update can be stale, so
+ * never-updated ones are counted under `notSet` alone.
+ */
+const summarizeHealth = (entities, { staleDays, now = Date.now() }) => {
+  const order = Object.keys(HEALTH_STATUS_OPTIONS);
+  const counts = {};
+  const names = {};
+  order.forEach((status) => {
+    counts[status] = 0;
+    names[status] = [];
+  });
+
+  let staleCount = 0;
+  entities.forEach((entity) => {
+    const status = order.includes(entity.health?.status) ? entity.health.status : 'notSet';
+    counts[status] += 1;
+    names[status].push(entity.name);
+    if (entity.health?.lastUpdatedAt && isHealthStale(entity, staleDays, now)) staleCount += 1;
+  });
+
+  const worstStatus = [...order].reverse().find((status) => status !== 'notSet' && counts[status] > 0) || 'notSet';
+
+  return {
+    total: entities.length,
+    counts,
+    names,
+    worstStatus,
+    staleCount,
+  };
+};
+
+const listNames = (list) => {
+  const shown = list.slice(0, SUMMARY_NAME_LIMIT);
+  const more = list.length - shown.length;
+  return { shown, more };
+};
+
+/**
+ * Render a rollup as plain text and HTML, ready to post to chat or email
+ */
+const renderHealthSummary = (summary, { title, staleDays }) => {
+  const order = Object.keys(HEALTH_STATUS_OPTIONS);
+  const countLine = [...order.slice(1), order[0]]
+    .map((status) => `${HEALTH_STATUS_OPTIONS[status]}: ${summary.counts[status]}`)
+    .join(' | ');
+  const heading = `${title} (${summary.total} ${summary.total === 1 ? 'entity' : 'entities'})`;
+  const worstLine = `Worst status: ${HEALTH_STATUS_OPTIONS[summary.worstStatus]}`;
+  const staleLine = `Stale (no health update in ${staleDays} days): ${summary.staleCount}`;
+
+  const textLines = [heading, countLine, worstLine, staleLine];
+  const htmlParts = [
+    `<p><strong>${escapeHtml(heading)}</strong></p>`,
+    `<p>${escapeHtml(countLine)}<br>${escapeHtml(worstLine)}<br>${escapeHtml(staleLine)}</p>`,
+  ];
+
+  ATTENTION_STATUSES.forEach((status) => {
+    const { shown, more } = listNames(summary.names[status]);
+    if (shown.length === 0) return;
+
+    const label = HEALTH_STATUS_OPTIONS[status];
+    textLines.push('', `${label}:`, ...shown.map((name) => `- ${name}`));
+    if (more > 0) textLines.push(`- and ${more} more`);
+
+    const items = shown.map((name) => `<li>${escapeHtml(name)}</li>`);
+    if (more > 0) items.push(`<li>and ${more} more</li>`);
+    htmlParts.push(`<p>${label}:</p><ul>${items.join('')}</ul>`);
+  });
+
+  return {
+    summaryText: textLines.join('\n'),
+    summaryHtml: htmlParts.join(''),
+  };
+};
+
+module.exports = {
+  HEALTH_MODE_OPTIONS,
+  COMMENT_MODE_OPTIONS,
+  normalizeHealthStatus,
+  buildHealthPayload,
+  mergeHealthComment,
+  isSameHealth,
+  patchEntityHealth,
+  updateEntityHealth,
+  fetchHealthHistory,
+  isHistoryListingMissing,
+  isHealthHistoryUnavailable,
+  markHealthHistoryUnavailable,
+  isHealthStale,
+  getHealthAttention,
+  summarizeHealth,
+  renderHealthSummary,
+};
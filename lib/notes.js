@@ -0,0 +1,161 @@
+/**
+ * Shared helpers for Productboard notes (insights)
+ *
+ * @see https://developer.productboard.com/v2.0.0/reference/notes
+ */
+
+const { requestWithRetry, toDateOnly } = require('./utils');
+const { htmlToPlainText, htmlToMarkdown } = require('./richText');
+
+/**
+ * Build GET /v2/notes query params from Find Notes-style inputs
+ * Tags and dates accept Zapier list/datetime values.
+ */
+const buildNoteSearchParams = (inputData = {}) => {
+  const { term, ownerEmail, companyId, featureId, createdFrom, createdTo } = inputData;
+  const params = {};
+
+  // Full-text search in title and content
+  if (term) {
+    params.term = term;
+  }
+
+  // Notes must carry all of these tags
+  const tags = Array.isArray(inputData.tags)
+    ? inputData.tags
+    : String(inputData.tags || '').split(',');
+  const cleanTags = tags.map((tag) => tag.trim()).filter(Boolean);
+  if (cleanTags.length > 0) {
+    params.allTags = cleanTags.join(',');
+  }
+
+  if (ownerEmail) {
+    params.ownerEmail = ownerEmail.trim();
+  }
+
+  if (companyId) {
+    params.companyId = companyId;
+  }
+
+  // Notes linked to a specific feature
+  if (featureId) {
+    params.featureId = featureId;
+  }
+
+  if (createdFrom) {
+    params.createdFrom = toDateOnly(createdFrom);
+  }
+  if (createdTo) {
+    params.createdTo = toDateOnly(createdTo);
+  }
+
+  return params;
+};
+
+/**
+ * Relationship payload linking a note to a feature, product, or component
+ * Request body format per v2 API docs:
+ * { data: { type: "link", target: { id: "<uuid>", type: "link" } } }
+ */
+const buildNoteLinkRelationship = (targetEntityId) => ({
+  type: 'link',
+  target: {
+    id: targetEntityId,
+    type: 'link',
+  },
+});
+
+/**
+ * Link a note to an entity via POST notes/{noteId}/relationships
+ * API returns the note object on success (201), not relationship details
+ */
+const linkNoteToEntity = async (z, noteId, targetEntityId) => {
+  const response = await requestWithRetry(z, {
+    url: `https://api.productboard.com/v2/notes/${noteId}/relationships`,
+    method: 'POST',
+    body: {
+      data: buildNoteLinkRelationship(targetEntityId),
+    },
+  });
+
+  return response.data.data || response.data;
+};
+
+/**
+ * Format one note relationship, matching Get Entity Relationships output
+ * API returns: { type: "customer"|"link", target: { id, type, links } }
+ */
+const formatNoteRelationship = (noteId, rel) => ({
+  id: `${noteId}_${rel.target?.id || 'unknown'}`,
+  noteId,
+  relationshipType: rel.type || '',
+
+  // Related customer (user/company) or product entity from target object
+  relatedEntityId: rel.target?.id || '',
+  relatedEntityType: rel.target?.type || '',
+  relatedEntityUrl: rel.target?.links?.self || '',
+});
+
+/**
+ * Format a note from the API response into a clean payload
+ */
+const formatNote = (note) => {
+  const fields = note.fields || {};
+  const tags = (fields.tags || []).map((tag) => (typeof tag === 'string' ? tag : tag.name)).filter(Boolean);
+
+  return {
+    id: note.id,
+    type: note.type || 'simple',
+    title: fields.name || fields.title || '',
+    content: fields.content || '',
+    contentPlainText: htmlToPlainText(fields.content),
+    contentMarkdown: htmlToMarkdown(fields.content),
+    tags,
+
+    ownerEmail: fields.owner?.email || '',
+    ownerId: fields.owner?.id || '',
+
+    sourceOrigin: fields.source?.origin || '',
+    sourceUrl: fields.source?.url || fields.displayUrl || '',
+
+    url: note.links?.html || '',
+    apiUrl: note.links?.self || `https://api.productboard.com/v2/notes/${note.id}`,
+
+    createdAt: note.createdAt,
+    updatedAt: note.updatedAt,
+  };
+};
+
+/**
+ * Common output fields for note payloads
+ */
+const noteOutputFields = [
+  { key: 'id', label: 'Note ID', type: 'string' },
+  { key: 'type', label: 'Note Type', type: 'string' },
+  { key: 'title', label: 'Title', type: 'string' },
+  { key: 'content', label: 'Content (HTML)', type: 'string' },
+  { key: 'contentPlainText', label: 'Content', type: 'string' },
+  { key: 'contentMarkdown', label: 'Content (Markdown)', type: 'string' },
+  { key: 'tags', label: 'Tags', type: 'string', list: true },
+
+  { key: 'ownerEmail', label: 'Owner Email', type: 'string' },
+  { key: 'ownerId', label: 'Owner ID', type: 'string' },
+
+  { key: 'sourceOrigin', label: 'Source Origin', type: 'string' },
+  { key: 'sourceUrl', label: 'Source URL', type: 'string' },
+
+  { key: 'url', label: 'Productboard URL', type: 'string' },
+  { key: 'apiUrl', label: 'Note API Link', type: 'string' },
+
+  { key: 'createdAt', label: 'Created At', type: 'datetime' },
+  { key: 'updatedAt', label: 'Updated At', type: 'datetime' },
+];
+
+module.exports = {
+  buildNoteSearchParams,
+  buildNoteLinkRelationship,
+  linkNoteToEntity,
+  formatNoteRelationship,
+  formatNote,
+  noteOutputFields,
+};
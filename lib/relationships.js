@@ -0,0 +1,195 @@
+/**
+ * Shared helpers for entity-to-entity relationships (parent, child, link)
+ *
+ * @see https://developer.productboard.com/v2.0.0/reference/getentityrelationships
+ */
+
+const {
+  ENTITY_TYPES,
+  PARENT_TYPES,
+  fetchAllPages,
+  fetchEntity,
+  mapWithConcurrency,
+} = require('./utils');
+
+// Parallel requests per hierarchy level, well under the 50 req/s limit
+const WALK_CONCURRENCY = 5;
+
+// Entity type pairs that can be connected with a `link` relationship (either direction)
+const LINKABLE_TYPE_PAIRS = [
+  ['feature', 'initiative'],
+  ['subfeature', 'initiative'],
+  ['feature', 'objective'],
+  ['subfeature', 'objective'],
+  ['initiative', 'objective'],
+  ['keyResult', 'objective'],
+  ['keyResult', 'initiative'],
+  ['keyResult', 'feature'],
+  ['feature', 'release'],
+  ['subfeature', 'release'],
+];
+
+const RELATIONSHIP_TYPES = {
+  parent: 'Parent',
+  child: 'Child',
+  link: 'Link',
+};
+
+const typeLabel = (type) => ENTITY_TYPES[type] || type;
+
+/**
+ * Check that `parentType` may be the parent of `childType`
+ * Returns an error message, or null when allowed
+ */
+const validateParent = (childType, parentType) => {
+  const allowed = PARENT_TYPES[childType] || [];
+  if (allowed.includes(parentType)) {
+    return null;
+  }
+  if (allowed.length === 0) {
+    return `A ${typeLabel(childType)} cannot have a parent.`;
+  }
+  return `A ${typeLabel(childType)} can only be placed under: ${allowed.map(typeLabel).join(', ')} (got ${typeLabel(parentType)}).`;
+};
+
+/**
+ * Check that two entity types may be linked
+ * Returns an error message, or null when allowed
+ */
+const validateLink = (sourceType, targetType) => {
+  const allowed = LINKABLE_TYPE_PAIRS.some(
+    ([a, b]) => (a === sourceType && b === targetType) || (a === targetType && b === sourceType)
+  );
+  return allowed ? null : `A ${typeLabel(sourceType)} cannot be linked to a ${typeLabel(targetType)}.`;
+};
+
+/**
+ * Format one relationship from the API response
+ * API returns: { type: "link"|"parent"|"child", target: { id, type, links } }
+ */
+const formatEntityRelationship = (entityId, rel) => ({
+  id: `${entityId}_${rel.target?.id || 'unknown'}`,
+  sourceEntityId: entityId,
+  relationshipType: rel.type || '',
+
+  // Related entity details from target object
+  relatedEntityId: rel.target?.id || '',
+  relatedEntityType: rel.target?.type || '',
+  relatedEntityUrl: rel.target?.links?.self || '',
+});
+
+/**
+ * Fetch every relationship of an entity (raw API objects)
+ */
+const fetchEntityRelationships = (z, entityId) =>
+  fetchAllPages(z, {
+    url: `https://api.productboard.com/v2/entities/${entityId}/relationships`,
+    method: 'GET',
+  });
+
+/**
+ * Walk parent/child relationships breadth-first from a starting entity
+ *
+ * direction: 'descendants' follows child relationships, 'ancestors' follows parent ones.
+ * Each node is visited once (cycle protection) and the walk stops after maxDepth levels
+ * or maxNodes nodes, whichever comes first.
+ *
+ * Returns { root, nodes: [{ entity, depth, pathIds, pathNames }], truncated }
+ * where path* run from the starting entity to the node and `truncated` means
+ * maxNodes cut the walk short.
+ */
+const walkHierarchy = async (z, rootId, { direction = 'descendants', maxDepth, maxNodes }) => {
+  const followType = direction === 'ancestors' ? 'parent' : 'child';
+  const root = await fetchEntity(z, rootId);
+
+  const visited = new Set([root.id]);
+  const nodes = [];
+  let truncated = false;
+  let frontier = [{ entity: root, pathIds: [root.id], pathNames: [root.fields?.name || root.id] }];
+
+  for (let depth = 1; depth <= maxDepth && frontier.length > 0 && !truncated; depth += 1) {
+    const relationshipLists = await mapWithConcurrency(frontier, WALK_CONCURRENCY, (node) =>
+      fetchEntityRelationships(z, node.entity.id)
+    );
+
+    // Collect unvisited neighbours for this level, respecting the node limit
+    const next = [];
+    frontier.forEach((node, index) => {
+      relationshipLists[index]
+        .filter((rel) => rel.type === followType && rel.target?.id)
+        .forEach((rel) => {
+          if (visited.has(rel.target.id)) return;
+          if (visited.size - 1 >= maxNodes) {
+            truncated = true;
+            return;
+          }
+          visited.add(rel.target.id);
+          next.push({ parent: node, id: rel.target.id });
+        });
+    });
+
+    const entities = await mapWithConcurrency(next, WALK_CONCURRENCY, (item) => fetchEntity(z, item.id));
+
+    frontier = next.map((item, index) => {
+      const entity = entities[index];
+      const node = {
+        entity,
+        depth,
+        pathIds: [...item.parent.pathIds, entity.id],
+        pathNames: [...item.parent.pathNames, entity.fields?.name || entity.id],
+      };
+      nodes.push(node);
+      return node;
+    });
+  }
+
+  return { root, nodes, truncated };
+};
+
+/**
+ * Result payload for relationship-changing actions: what changed plus the
+ * entity's updated relationship list (returned as line items)
+ */
+const buildRelationshipChangeResult = async (z, entity, relationshipType, relatedEntityId) => {
+  const relationships = await fetchEntityRelationships(z, entity.id);
+
+  return {
+    id: entity.id,
+    entityId: entity.id,
+    entityType: entity.type,
+    relationshipType,
+    relatedEntityId,
+    relationships: relationships.map((rel) => formatEntityRelationship(entity.id, rel)),
+  };
+};
+
+const relationshipOutputFields = [
+  { key: 'id', label: 'Relationship ID', type: 'string' },
+  { key: 'sourceEntityId', label: 'Source Entity ID', type: 'string' },
+  { key: 'relationshipType', label: 'Relationship Type', type: 'string' },
+  { key: 'relatedEntityId', label: 'Related Entity ID', type: 'string' },
+  { key: 'relatedEntityType', label: 'Related Entity Type', type: 'string' },
+  { key: 'relatedEntityUrl', label: 'Related Entity API URL', type: 'string' },
+];
+
+const relationshipChangeOutputFields = [
+  { key: 'entityId', label: 'Entity ID', type: 'string' },
+  { key: 'entityType', label: 'Entity Type', type: 'string' },
+  { key: 'relationshipType', label: 'Changed Relationship Type', type: 'string' },
+  { key: 'relatedEntityId', label: 'Changed Related Entity ID', type: 'string' },
+  { key: 'relationships[]relationshipType', label: 'Relationships: Type', type: 'string' },
+  { key: 'relationships[]relatedEntityId', label: 'Relationships: Related Entity ID', type: 'string' },
+  { key: 'relationships[]relatedEntityType', label: 'Relationships: Related Entity Type', type: 'string' },
+];
+
+module.exports = {
+  RELATIONSHIP_TYPES,
+  validateParent,
+  validateLink,
+  formatEntityRelationship,
+  fetchEntityRelationships,
+  walkHierarchy,
+  buildRelationshipChangeResult,
+  relationshipOutputFields,
+  relationshipChangeOutputFields,
+};
@@ -0,0 +1,430 @@
+/**
+ * Rich text conversion helpers
+ *
+ * Productboard stores descriptions, health comments and note content as HTML
+ * (RichTextFieldValue). These helpers turn plain text, Markdown or HTML input into
+ * sanitized HTML limited to the tags Productboard renders, and turn that HTML back
+ * into readable plain text or Markdown for Zap output.
+ *
+ * @see https://developer.productboard.com/v2.0.0/reference/field-value-types
+ */
+
+const RICH_TEXT_FORMATS = {
+  auto: 'Auto-detect (HTML if it starts with a tag, otherwise plain text)',
+  plain: 'Plain text',
+  markdown: 'Markdown',
+  html: 'HTML',
+};
+
+// Tags kept by sanitizeHtml; everything else is dropped but its text is kept
+const ALLOWED_TAGS = [
+  'p', 'br', 'h1', 'h2', 'h3', 'strong', 'em', 'u', 's', 'code', 'pre',
+  'blockquote', 'ul', 'ol', 'li', 'a',
+];
+
+// Common tags rewritten to their allowed equivalent
+const TAG_ALIASES = {
+  b: 'strong',
+  i: 'em',
+  del: 's',
+  strike: 's',
+  div: 'p',
+  h4: 'h3',
+  h5: 'h3',
+  h6: 'h3',
+};
+
+const BLOCK_TAGS = ['p', 'div', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'blockquote', 'pre', 'ul', 'ol'];
+
+const TAG_PATTERN = /<(\/?)([a-zA-Z][a-zA-Z0-9]*)\b([^>]*)>/g;
+
+const NAMED_ENTITIES = {
+  nbsp: ' ',
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+};
+
+const escapeHtml = (text) =>
+  String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const decodeEntities = (text) =>
+  String(text).replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x'
+        ? parseInt(entity.slice(2), 16)
+        : parseInt(entity.slice(1), 10);
+      // Out-of-range code points and lone surrogates are left as written
+      const valid = code <= 0x10ffff && !(code >= 0xd800 && code <= 0xdfff);
+      return valid ? String.fromCodePoint(code) : match;
+    }
+    return NAMED_ENTITIES[entity.toLowerCase()] ?? match;
+  });
+
+/**
+ * Only web and mail links survive; javascript: and friends are dropped
+ */
+const safeUrl = (url) => {
+  const decoded = decodeEntities(url || '').trim();
+  return /^(https?:|mailto:)/i.test(decoded) ? decoded : '';
+};
+
+const getHref = (attrs) => {
+  const match = /\bhref\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/i.exec(attrs || '');
+  return match ? safeUrl(match[1] ?? match[2] ?? match[3]) : '';
+};
+
+/**
+ * Split HTML into text and tag tokens, dropping comments, scripts and styles
+ */
+const tokenize = (html) => {
+  const source = String(html || '')
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(script|style)\b[^>]*>[\s\S]*?<\/\1\s*>/gi, '');
+
+  const tokens = [];
+  let lastIndex = 0;
+  let match;
+  TAG_PATTERN.lastIndex = 0;
+  while ((match = TAG_PATTERN.exec(source)) !== null) {
+    if (match.index > lastIndex) {
+      tokens.push({ type: 'text', text: source.slice(lastIndex, match.index) });
+    }
+    tokens.push({
+      type: 'tag',
+      name: match[2].toLowerCase(),
+      closing: match[1] === '/',
+      attrs: match[3],
+    });
+    lastIndex = TAG_PATTERN.lastIndex;
+  }
+  if (lastIndex < source.length) {
+    tokens.push({ type: 'text', text: source.slice(lastIndex) });
+  }
+  return tokens;
+};
+
+/**
+ * Reduce HTML to Productboard's allowed subset: unknown tags and all attributes
+ * except safe link hrefs are removed, and stray `&`, `<` and `>` are escaped
+ */
+const sanitizeHtml = (html) => {
+  const linkStack = [];
+
+  return tokenize(html)
+    .map((token) => {
+      if (token.type === 'text') {
+        return escapeHtml(decodeEntities(token.text));
+      }
+
+      const name = TAG_ALIASES[token.name] || token.name;
+      if (!ALLOWED_TAGS.includes(name)) return '';
+      if (name === 'br') return token.closing ? '' : '<br>';
+
+      if (name === 'a') {
+        if (token.closing) return linkStack.pop() ? '</a>' : '';
+        const href = getHref(token.attrs);
+        linkStack.push(Boolean(href));
+        return href ? `<a href="${escapeHtml(href)}">` : '';
+      }
+
+      return token.closing ? `</${name}>` : `<${name}>`;
+    })
+    .join('');
+};
+
+/**
+ * Plain text to HTML: blank lines separate paragraphs, single newlines become <br>
+ */
+const plainTextToHtml = (text) =>
+  String(text || '')
+    .replace(/\r\n?/g, '\n')
+    .split(/\n\s*\n/)
+    .map((paragraph) => paragraph.trim())
+    .filter(Boolean)
+    .map((paragraph) => `<p>${escapeHtml(paragraph).replace(/\n/g, '<br>')}</p>`)
+    .join('');
+
+/**
+ * Inline Markdown (code, links, bold, italic, strikethrough) on one block of text
+ * Code spans and links are swapped for placeholders so their contents aren't formatted.
+ */
+const markdownInline = (text) => {
+  const placeholders = [];
+  const hold = (html) => {
+    placeholders.push(html);
+    return `\u0000${placeholders.length - 1}\u0000`;
+  };
+
+  const html = escapeHtml(text)
+    .replace(/`([^`]+)`/g, (match, code) => hold(`<code>${code}</code>`))
+    .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, url) => {
+      const href = safeUrl(url);
+      return href ? hold(`<a href="${escapeHtml(href)}">${label}</a>`) : label;
+    })
+    .replace(/https?:\/\/[^\s<]+[^\s<.,;:!?)]/g, (url) => {
+      const href = safeUrl(url);
+      return hold(`<a href="${escapeHtml(href)}">${url}</a>`);
+    })
+    .replace(/\*\*(.+?)\*\*|__(.+?)__/g, (match, a, b) => `<strong>${a ?? b}</strong>`)
+    .replace(/\*(?!\s)(.+?)\*|\b_(?!\s)(.+?)_\b/g, (match, a, b) => `<em>${a ?? b}</em>`)
+    .replace(/~~(.+?)~~/g, '<s>$1</s>');
+
+  return html.replace(/\u0000(\d+)\u0000/g, (match, index) => placeholders[index]);
+};
+
+/**
+ * Block-level Markdown: headings, bullet and numbered lists, quotes, code fences
+ * and paragraphs (single newlines inside a paragraph become <br>)
+ */
+const markdownToHtml = (markdown) => {
+  const lines = String(markdown || '').replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  let paragraph = [];
+  let list = null;
+  let quote = [];
+
+  const flushParagraph = () => {
+    if (paragraph.length > 0) {
+      blocks.push(`<p>${paragraph.map(markdownInline).join('<br>')}</p>`);
+      paragraph = [];
+    }
+  };
+  const flushList = () => {
+    if (list) {
+      const items = list.items.map((item) => `<li>${markdownInline(item)}</li>`).join('');
+      blocks.push(`<${list.type}>${items}</${list.type}>`);
+      list = null;
+    }
+  };
+  const flushQuote = () => {
+    if (quote.length > 0) {
+      blocks.push(`<blockquote><p>${quote.map(markdownInline).join('<br>')}</p></blockquote>`);
+      quote = [];
+    }
+  };
+  const flushAll = () => {
+    flushParagraph();
+    flushList();
+    flushQuote();
+  };
+
+  for (let i = 0; i < lines.length; i += 1) {
+    const line = lines[i];
+    let match;
+
+    if (/^\s*```/.test(line)) {
+      flushAll();
+      const code = [];
+      for (i += 1; i < lines.length && !/^\s*```/.test(lines[i]); i += 1) {
+        code.push(lines[i]);
+      }
+      blocks.push(`<pre><code>${escapeHtml(code.join('\n'))}</code></pre>`);
+    } else if (!line.trim()) {
+      flushAll();
+    } else if ((match = /^(#{1,6})\s+(.*)$/.exec(line))) {
+      flushAll();
+      const level = Math.min(match[1].length, 3);
+      blocks.push(`<h${level}>${markdownInline(match[2].trim())}</h${level}>`);
+    } else if ((match = /^\s*([-*+]|\d+[.)])\s+(.*)$/.exec(line))) {
+      flushParagraph();
+      flushQuote();
+      const type = /\d/.test(match[1]) ? 'ol' : 'ul';
+      if (list && list.type !== type) flushList();
+      list = list || { type, items: [] };
+      list.items.push(match[2].trim());
+    } else if ((match = /^>\s?(.*)$/.exec(line))) {
+      flushParagraph();
+      flushList();
+      quote.push(match[1]);
+    } else if (list && /^\s+/.test(line)) {
+      // Indented continuation of the previous list item
+      list.items[list.items.length - 1] += ` ${line.trim()}`;
+    } else {
+      flushList();
+      flushQuote();
+      paragraph.push(line.trim());
+    }
+  }
+  flushAll();
+
+  return blocks.join('');
+};
+
+/**
+ * Convert user input to a RichTextFieldValue (HTML) in the given format
+ * `auto` keeps input starting with a tag as HTML and treats the rest as plain text.
+ */
+const toRichText = (text, format = 'auto') => {
+  if (!text) return '';
+  const value = String(text);
+
+  switch (format) {
+    case 'html':
+      return sanitizeHtml(value);
+    case 'markdown':
+      return markdownToHtml(value);
+    case 'plain':
+      return plainTextToHtml(value);
+    default:
+      return value.trim().startsWith('<') ? sanitizeHtml(value) : plainTextToHtml(value);
+  }
+};
+
+/**
+ * Walk HTML and render it as plain text or Markdown, keeping paragraphs,
+ * bullets and link URLs
+ */
+const renderHtml = (html, { markdown }) => {
+  let out = '';
+  let preDepth = 0;
+  const lists = [];
+  const links = [];
+  const quotes = [];
+
+  const atLineStart = () => out === '' || out.endsWith('\n');
+  const breakBlock = () => {
+    out = out.replace(/[ \t]+$/, '');
+    if (out && !out.endsWith('\n\n')) out += out.endsWith('\n') ? '\n' : '\n\n';
+  };
+  const breakLine = () => {
+    out = out.replace(/[ \t]+$/, '');
+    if (out && !out.endsWith('\n')) out += '\n';
+  };
+  const mark = (plain, md) => {
+    out += markdown ? md : plain;
+  };
+
+  tokenize(html).forEach((token) => {
+    if (token.type === 'text') {
+      let text = decodeEntities(token.text);
+      if (preDepth === 0) {
+        text = text.replace(/\s+/g, ' ');
+        if (atLineStart()) text = text.trimStart();
+      }
+      out += text;
+      return;
+    }
+
+    const name = TAG_ALIASES[token.name] || token.name;
+
+    if (name === 'br') {
+      if (!token.closing) out = `${out.replace(/[ \t]+$/, '')}\n`;
+    } else if (name === 'li') {
+      if (token.closing) return;
+      breakLine();
+      const current = lists[lists.length - 1];
+      const indent = '  '.repeat(Math.max(lists.length - 1, 0));
+      if (current?.type === 'ol') {
+        current.count += 1;
+        out += `${indent}${current.count}. `;
+      } else {
+        out += `${indent}- `;
+      }
+    } else if (name === 'ul' || name === 'ol') {
+      // Nested lists only need a line break
+      const nested = token.closing ? lists.length > 1 : lists.length > 0;
+      if (token.closing) lists.pop();
+      else lists.push({ type: name, count: 0 });
+      if (nested) breakLine();
+      else breakBlock();
+    } else if (name === 'a') {
+      if (!token.closing) {
+        links.push({ href: getHref(token.attrs), start: out.length });
+        mark('', '[');
+        return;
+      }
+      const link = links.pop();
+      if (!link) return;
+      const label = out.slice(link.start + (markdown ? 1 : 0)).trim();
+      // Bare links (label is the URL itself) are left as plain URLs
+      const isBare = !link.href || label === link.href || label === link.href.replace(/^mailto:/i, '');
+      if (markdown) {
+        out = isBare ? `${out.slice(0, link.start)}${label}` : `${out}](${link.href})`;
+      } else if (!isBare) {
+        out += ` (${link.href})`;
+      }
+    } else if (name === 'strong') {
+      mark('', '**');
+    } else if (name === 'em') {
+      mark('', '_');
+    } else if (name === 's') {
+      mark('', '~~');
+    } else if (name === 'code') {
+      if (preDepth === 0) mark('', '`');
+    } else if (name === 'pre') {
+      if (token.closing) {
+        preDepth -= 1;
+        if (markdown) out = `${out.replace(/\n*$/, '')}\n\`\`\``;
+        breakBlock();
+      } else {
+        breakBlock();
+        preDepth += 1;
+        mark('', '```\n');
+      }
+    } else if (name === 'blockquote') {
+      breakBlock();
+      if (!token.closing) {
+        quotes.push(out.length);
+        return;
+      }
+      const start = quotes.pop();
+      if (markdown && start !== undefined) {
+        const quoted = out.slice(start).trim().split('\n').map((line) => `> ${line}`.trimEnd());
+        out = `${out.slice(0, start)}${quoted.join('\n')}`;
+        breakBlock();
+      }
+    } else if (/^h[1-6]$/.test(name)) {
+      breakBlock();
+      if (!token.closing) mark('', `${'#'.repeat(Math.min(Number(name[1]), 3))} `);
+    } else if (BLOCK_TAGS.includes(name)) {
+      breakBlock();
+    }
+  });
+
+  return out
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+};
+
+/**
+ * HTML to readable plain text; links keep their URL as "label (url)"
+ */
+const htmlToPlainText = (html) => (html ? renderHtml(html, { markdown: false }) : '');
+
+/**
+ * HTML to Markdown with headings, lists, emphasis, code and [label](url) links
+ */
+const htmlToMarkdown = (html) => (html ? renderHtml(html, { markdown: true }) : '');
+
+/**
+ * Input field for choosing how a rich text input is written
+ */
+const richTextFormatField = (key, label) => ({
+  key,
+  label: `${label} Format`,
+  type: 'string',
+  choices: RICH_TEXT_FORMATS,
+  required: false,
+  default: 'auto',
+  helpText: `How the ${label.toLowerCase()} is written. Markdown supports headings, lists, links, **bold**, _italic_ and code.`,
+});
+
+module.exports = {
+  RICH_TEXT_FORMATS,
+  escapeHtml,
+  sanitizeHtml,
+  plainTextToHtml,
+  markdownToHtml,
+  toRichText,
+  htmlToPlainText,
+  htmlToMarkdown,
+  richTextFormatField,
+};
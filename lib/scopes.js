@@ -0,0 +1,57 @@
+/**
+ * OAuth scope helpers
+ *
+ * Scopes requested on connect, and which scope a given API request needs, so a
+ * 403 can name the missing permission instead of a generic "access denied".
+ *
+ * @see https://developer.productboard.com/v2.0.0/reference/introduction
+ */
+
+// Access requested on connect: read and write product hierarchy (entities, health) and notes
+const OAUTH_SCOPES = [
+  'product_hierarchy_data:read',
+  'product_hierarchy_data:create',
+  'product_hierarchy_data:manage',
+  'notes:read',
+  'notes:create',
+  'notes:manage',
+];
+
+// API paths and the scope family that covers them
+const SCOPE_RESOURCES = [
+  { pattern: /\/v2\/notes\b/, resource: 'notes', label: 'notes' },
+  { pattern: /\/v2\/entities\b/, resource: 'product_hierarchy_data', label: 'entities and health' },
+];
+
+/**
+ * Scope needed for a request, or null for endpoints without a known scope
+ * Searches and reads need `:read`, new records `:create`, and changes to existing
+ * records (updates, relationships, deletes) `:manage`.
+ */
+const getRequiredScope = (method = 'GET', url = '') => {
+  const match = SCOPE_RESOURCES.find((entry) => entry.pattern.test(url));
+  if (!match) return null;
+
+  const verb = String(method).toUpperCase();
+  const path = url.split('?')[0];
+  let access = 'manage';
+  if (verb === 'GET' || path.endsWith('/search')) {
+    access = 'read';
+  } else if (verb === 'POST' && !path.includes('/relationships')) {
+    access = 'create';
+  }
+
+  return { scope: `${match.resource}:${access}`, access, label: match.label };
+};
+
+/**
+ * Granted scopes from a token response or authData (space- or comma-separated)
+ */
+const parseScopes = (value) =>
+  (Array.isArray(value) ? value : String(value || '').split(/[\s,]+/)).filter(Boolean);
+
+module.exports = {
+  OAUTH_SCOPES,
+  getRequiredScope,
+  parseScopes,
+};
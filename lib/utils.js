@@ -2,36 +2,218 @@
  * Shared utilities for Productboard integration
  */
 
+const { htmlToPlainText, htmlToMarkdown } = require('./richText');
+
+/**
+ * Entity types supported by the v2 entities endpoints
+ */
+const ENTITY_TYPES = {
+  product: 'Product',
+  component: 'Component',
+  feature: 'Feature',
+  subfeature: 'Subfeature',
+  initiative: 'Initiative',
+  objective: 'Objective',
+  keyResult: 'Key Result',
+  release: 'Release',
+  releaseGroup: 'Release Group',
+};
+
+/**
+ * Entity types that can be the parent of each entity type
+ */
+const PARENT_TYPES = {
+  product: [],
+  component: ['product', 'component'],
+  feature: ['product', 'component'],
+  subfeature: ['feature'],
+  initiative: ['initiative'],
+  objective: ['objective'],
+  keyResult: ['objective'],
+  release: ['releaseGroup'],
+  releaseGroup: [],
+};
+
+/**
+ * Health statuses, ordered from best to worst after `notSet`
+ */
+const HEALTH_STATUS_OPTIONS = {
+  notSet: 'Not Set',
+  onTrack: 'On Track',
+  atRisk: 'At Risk',
+  offTrack: 'Off Track',
+};
+
+/**
+ * Classify a health transition using the order of HEALTH_STATUS_OPTIONS
+ * Returns 'worsening', 'improving', 'unchanged', or 'none' when either side is unset
+ */
+const getHealthTrend = (previousStatus, status) => {
+  const order = Object.keys(HEALTH_STATUS_OPTIONS);
+  const from = order.indexOf(previousStatus);
+  const to = order.indexOf(status);
+
+  if (from < 1 || to < 1) return 'none';
+  if (to > from) return 'worsening';
+  if (to < from) return 'improving';
+  return 'unchanged';
+};
+
 /**
- * Strip HTML tags and decode entities to plain text
+ * Reduce a Zapier datetime input to the YYYY-MM-DD date the API expects
  */
-const stripHtml = (html) => {
-  if (!html) return '';
-  return html
-    .replace(/<[^>]*>/g, '')
-    .replace(/&nbsp;/g, ' ')
-    .replace(/&amp;/g, '&')
-    .replace(/&lt;/g, '<')
-    .replace(/&gt;/g, '>')
-    .replace(/&quot;/g, '"')
-    .replace(/&#39;/g, "'")
-    .replace(/\s+/g, ' ')
-    .trim();
+const toDateOnly = (value) => {
+  if (!value) return '';
+  return String(value).slice(0, 10);
+};
+
+/**
+ * Parse CSV text into rows of cells
+ * Handles quoted cells (with commas, newlines and "" escapes); blank lines are skipped.
+ */
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  const source = String(text || '').replace(/\r\n?/g, '\n');
+
+  const endRow = () => {
+    row.push(cell);
+    if (row.some((value) => value.trim())) rows.push(row.map((value) => value.trim()));
+    row = [];
+    cell = '';
+  };
+
+  for (let i = 0; i < source.length; i += 1) {
+    const char = source[i];
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n') {
+      endRow();
+    } else {
+      cell += char;
+    }
+  }
+  endRow();
+
+  return rows;
+};
+
+/**
+ * Check whether a value looks like a Productboard UUID (vs. a display name)
+ */
+const isUuid = (value) =>
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(String(value || '').trim());
+
+/**
+ * Normalize the workspace settings from the connection's auth fields
+ * Accepts a bare subdomain ("acme"), a host ("acme.productboard.com") or any
+ * pasted workspace URL, from which a board ID is also picked up if present.
+ */
+const getWorkspaceSettings = (authData = {}) => {
+  const raw = String(authData.workspaceSubdomain || '').trim().toLowerCase();
+  const host = raw.replace(/^https?:\/\//, '').split('/')[0];
+  const subdomain = host.replace(/\.productboard\.com$/, '');
+  const boardFromUrl = raw.match(/\/feature-board\/([^/?#]+)/);
+
+  return {
+    subdomain: /^[a-z0-9-]+$/.test(subdomain) ? subdomain : '',
+    boardId: String(authData.boardId || '').trim() || (boardFromUrl ? boardFromUrl[1] : ''),
+  };
+};
+
+/**
+ * Extract the workspace subdomain from any productboard.com web URL
+ */
+const parseWorkspaceSubdomain = (url) => {
+  const match = String(url || '').match(/^https?:\/\/([a-z0-9-]+)\.productboard\.com/i);
+  return match ? match[1].toLowerCase() : '';
 };
 
 /**
  * Build Productboard URL for an entity
- * Format: https://zapier.productboard.com/feature-board/165206/detail/{type}/{id}
+ * Uses the connection's workspace settings, falling back to the API's own web link:
+ * - with board ID: https://{subdomain}.productboard.com/feature-board/{boardId}/detail/{type}/{id}
+ * - without:       https://{subdomain}.productboard.com/detail/{type}/{id}
+ * Without a configured subdomain, a board link uses the subdomain of the entity's web link.
  */
-const getEntityUrl = (entityType, entityId) => {
-  return `https://zapier.productboard.com/feature-board/165206/detail/${entityType}/${entityId}`;
+const getEntityUrl = (entityType, entityId, authData, htmlLink) => {
+  const settings = getWorkspaceSettings(authData);
+  const { boardId } = settings;
+  const subdomain = settings.subdomain || parseWorkspaceSubdomain(htmlLink);
+
+  if (subdomain && boardId) {
+    return `https://${subdomain}.productboard.com/feature-board/${boardId}/detail/${entityType}/${entityId}`;
+  }
+  if (settings.subdomain) {
+    return `https://${subdomain}.productboard.com/detail/${entityType}/${entityId}`;
+  }
+  return htmlLink || '';
 };
 
+/**
+ * Flatten a custom field value into something usable in a Zap
+ * Dropdowns → option name, members → email, multi-selects → comma-separated
+ */
+const formatCustomFieldValue = (value) => {
+  if (value === null || value === undefined) return '';
+  if (Array.isArray(value)) {
+    return value.map(formatCustomFieldValue).filter(Boolean).join(', ');
+  }
+  if (typeof value === 'object') {
+    return value.name || value.email || value.label || value.value || value.id || '';
+  }
+  return value;
+};
+
+/**
+ * Collect custom field values (keyed by field UUID) from an entity's fields
+ */
+const extractCustomFields = (fields) => {
+  const customFields = {};
+  Object.keys(fields).forEach((fieldId) => {
+    if (isUuid(fieldId)) {
+      customFields[fieldId] = formatCustomFieldValue(fields[fieldId]);
+    }
+  });
+  return customFields;
+};
+
+/**
+ * Format a health field value (current health or a health history entry)
+ */
+const formatHealth = (health) => ({
+  id: health.id,
+  status: health.status,
+  previousStatus: health.previousStatus || '',
+  mode: health.mode,
+  comment: health.comment || '',
+  commentPlainText: htmlToPlainText(health.comment),
+  commentMarkdown: htmlToMarkdown(health.comment),
+  lastUpdatedAt: health.lastUpdatedAt,
+  updatedByEmail: health.createdBy?.email || '',
+  updatedById: health.createdBy?.id || '',
+});
+
 /**
  * Format an entity from the API response into a clean payload
  * Entity is the primary object with health as a nested field
+ * Pass the connection's authData so URLs point at the user's own workspace
  */
-const formatEntity = (entity) => {
+const formatEntity = (entity, authData) => {
   const fields = entity.fields || {};
   const health = fields.health || null;
 
@@ -41,8 +223,9 @@ const formatEntity = (entity) => {
     type: entity.type,
     name: fields.name || '',
     description: fields.description || '',
-    descriptionPlainText: stripHtml(fields.description),
-    url: getEntityUrl(entity.type, entity.id),
+    descriptionPlainText: htmlToPlainText(fields.description),
+    descriptionMarkdown: htmlToMarkdown(fields.description),
+    url: getEntityUrl(entity.type, entity.id, authData, entity.links?.html),
 
     // Status
     status: fields.status?.name || '',
@@ -61,18 +244,327 @@ const formatEntity = (entity) => {
     createdAt: entity.createdAt,
     updatedAt: entity.updatedAt,
 
+    // Custom fields keyed by field ID (labels come from entity configurations)
+    customFields: extractCustomFields(fields),
+
     // Health (nested object, only if present)
-    health: health ? {
-      id: health.id,
-      status: health.status,
-      previousStatus: health.previousStatus || '',
-      mode: health.mode,
-      comment: health.comment || '',
-      commentPlainText: stripHtml(health.comment),
-      lastUpdatedAt: health.lastUpdatedAt,
-      updatedByEmail: health.createdBy?.email || '',
-      updatedById: health.createdBy?.id || '',
-    } : null,
+    health: health ? formatHealth(health) : null,
+  };
+};
+
+// Statuses worth retrying: rate limiting and transient gateway/availability errors
+const RETRYABLE_STATUSES = [429, 502, 503, 504];
+const MAX_RETRIES = 3;
+const BASE_RETRY_DELAY_MS = 1000;
+// Longer waits are handed back to Zapier (ThrottledError) instead of sleeping in the step
+const MAX_RETRY_DELAY_MS = 10000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Read the server-requested wait from Retry-After (seconds or HTTP date) or
+ * X-RateLimit-Reset (seconds or epoch). Returns milliseconds, or null if absent.
+ */
+const getRetryAfterMs = (response) => {
+  const retryAfter = response.getHeader('retry-after');
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    if (!Number.isNaN(seconds)) {
+      return Math.max(0, seconds * 1000);
+    }
+    const date = Date.parse(retryAfter);
+    if (!Number.isNaN(date)) {
+      return Math.max(0, date - Date.now());
+    }
+  }
+
+  const reset = Number(response.getHeader('x-ratelimit-reset') || response.getHeader('ratelimit-reset'));
+  if (reset > 0) {
+    // Large values are a Unix timestamp, small values are seconds until reset
+    return reset > 1e9 ? Math.max(0, reset * 1000 - Date.now()) : reset * 1000;
+  }
+
+  return null;
+};
+
+/**
+ * Jittered exponential backoff: attempt 0 waits 0.5-1s, attempt 1 waits 1-2s, ...
+ */
+const getBackoffMs = (attempt) => {
+  const backoff = BASE_RETRY_DELAY_MS * 2 ** attempt;
+  return backoff / 2 + Math.random() * (backoff / 2);
+};
+
+/**
+ * Make an API request, retrying throttled/transient failures within the step
+ *
+ * The afterResponse middleware turns 429/502/503/504 into ThrottledError. Here we
+ * wait (server-requested delay or backoff) and retry up to MAX_RETRIES times; after
+ * that, or if the wait is too long, the ThrottledError propagates so Zapier
+ * reschedules the run instead of failing it.
+ *
+ * `retryStatuses` narrows which throttled statuses are retried here.
+ */
+const requestWithRetry = async (z, request, { retryStatuses = RETRYABLE_STATUSES } = {}) => {
+  for (let attempt = 0; ; attempt += 1) {
+    try {
+      return await z.request(request);
+    } catch (error) {
+      const retryable = error.status === undefined || retryStatuses.includes(error.status);
+      if (error.name !== 'ThrottledError' || !retryable || attempt >= MAX_RETRIES) {
+        throw error;
+      }
+      const delayMs = error.retryAfterMs ?? getBackoffMs(attempt);
+      if (delayMs > MAX_RETRY_DELAY_MS) {
+        throw error;
+      }
+      await sleep(delayMs);
+    }
+  }
+};
+
+/**
+ * Make a request that creates a record (POST), retrying only when it surely didn't run
+ *
+ * A 429 is rejected before anything is written, so it is retried (and rescheduled) as
+ * usual. A 502/503/504 can arrive after the record was created: retrying, or letting
+ * Zapier reschedule the step on ThrottledError, could create it twice, so the step
+ * fails with a plain error instead.
+ */
+const createWithRetry = async (z, request) => {
+  try {
+    return await requestWithRetry(z, request, { retryStatuses: [429] });
+  } catch (error) {
+    if (error.name === 'ThrottledError' && error.status !== undefined && error.status !== 429) {
+      throw new z.errors.Error(
+        `Productboard was unavailable (${error.status}) while creating this record, so it may or may not have been created. ` +
+          'Check Productboard before replaying this step.',
+        'UncertainCreate',
+        error.status
+      );
+    }
+    throw error;
+  }
+};
+
+/**
+ * Fetch a single raw entity by ID
+ */
+const fetchEntity = async (z, entityId) => {
+  const response = await requestWithRetry(z, {
+    url: `https://api.productboard.com/v2/entities/${entityId}`,
+    method: 'GET',
+  });
+  return response.data.data || response.data;
+};
+
+/**
+ * Map over items with at most `limit` promises in flight, preserving order
+ */
+const mapWithConcurrency = async (items, limit, fn) => {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const worker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex;
+      nextIndex += 1;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+};
+
+/**
+ * Default and hard upper limit for the number of pages fetched per step
+ */
+const DEFAULT_MAX_PAGES = 10;
+const MAX_PAGES_LIMIT = 50;
+
+/**
+ * Normalize a user-supplied page cap into the range 1..MAX_PAGES_LIMIT
+ */
+const parseMaxPages = (value) => {
+  const parsed = parseInt(value, 10);
+  if (!parsed || parsed < 1) return DEFAULT_MAX_PAGES;
+  return Math.min(parsed, MAX_PAGES_LIMIT);
+};
+
+/**
+ * Fetch every page of a list/search endpoint and return the combined `data` items
+ *
+ * Productboard v2 uses cursor pagination: each page returns `links.next` (a full URL
+ * including the cursor) until the last page. The original method and body are re-sent
+ * so POST search endpoints page the same way as GET lists.
+ *
+ * Stops quietly at maxPages unless `onPageCap` is given; it is called (and may throw)
+ * when the cap is reached with pages still left. `stopWhen(items)` ends paging early
+ * once the items so far are enough (e.g. a newest-first list has passed a date).
+ */
+const fetchAllPages = async (z, request, { maxPages = DEFAULT_MAX_PAGES, onPageCap, stopWhen } = {}) => {
+  const items = [];
+  let pageRequest = request;
+  let pageCount = 0;
+
+  while (pageRequest && pageCount < maxPages) {
+    const response = await requestWithRetry(z, pageRequest);
+    const body = response.data || {};
+    items.push(...(body.data || []));
+    pageCount += 1;
+
+    if (stopWhen && stopWhen(items)) {
+      return items;
+    }
+
+    const next = body.links?.next;
+    if (next) {
+      // Next link already carries the original query params plus the cursor
+      pageRequest = { ...request, url: new URL(next, request.url).toString() };
+      delete pageRequest.params;
+    } else if (body.pageCursor) {
+      pageRequest = { ...request, params: { ...request.params, pageCursor: body.pageCursor } };
+    } else {
+      pageRequest = null;
+    }
+  }
+
+  if (pageRequest && onPageCap) {
+    onPageCap(items);
+  }
+
+  return items;
+};
+
+/**
+ * Build the body for POST /v2/entities/search from Find Entities-style inputs
+ */
+const buildEntitySearchData = (inputData = {}) => {
+  const { entityType, ownerEmails, statusNames, healthStatus, archived,
+          parentId, componentId, productId, initiativeId, objectiveId, releaseId,
+          startDate, endDate } = inputData;
+
+  // Build the search request body per Productboard API v2 spec
+  // Structure: { data: { owners: [{email}], statuses: [{name}], ... } }
+  // Request all fields so workspace custom fields are included
+  const searchData = {
+    fields: 'all',
+  };
+
+  // Entity type filter - use 'type' (singular) as the field name
+  if (entityType) {
+    searchData.type = entityType;
+  }
+
+  // Owner filter - array of objects with email
+  if (ownerEmails) {
+    const emails = Array.isArray(ownerEmails) ? ownerEmails : ownerEmails.split(',').map(e => e.trim());
+    searchData.owners = emails.map(email => ({ email }));
+  }
+
+  // Status filter - array of objects with name
+  if (statusNames) {
+    const names = Array.isArray(statusNames) ? statusNames : statusNames.split(',').map(s => s.trim());
+    searchData.statuses = names.map(name => ({ name }));
+  }
+
+  // Health status filter
+  if (healthStatus) {
+    searchData.health = { status: healthStatus };
+  }
+
+  // Archived filter
+  if (archived && archived !== 'all') {
+    searchData.archived = archived === 'true';
+  }
+
+  // Parent filter
+  if (parentId) {
+    searchData.parent = { id: parentId };
+  }
+
+  // Component filter
+  if (componentId) {
+    searchData.component = { id: componentId };
+  }
+
+  // Product filter
+  if (productId) {
+    searchData.product = { id: productId };
+  }
+
+  // Initiative filter
+  if (initiativeId) {
+    searchData.initiative = { id: initiativeId };
+  }
+
+  // Objective filter
+  if (objectiveId) {
+    searchData.objective = { id: objectiveId };
+  }
+
+  // Release filter
+  if (releaseId) {
+    searchData.release = { id: releaseId };
+  }
+
+  // Timeframe filter
+  if (startDate || endDate) {
+    searchData.timeframe = {};
+    if (startDate) searchData.timeframe.startDate = startDate;
+    if (endDate) searchData.timeframe.endDate = endDate;
+  }
+
+  return searchData;
+};
+
+/**
+ * Run an entity search, following pagination up to maxPages
+ */
+const searchEntities = (z, searchData, { maxPages = DEFAULT_MAX_PAGES, onPageCap } = {}) =>
+  fetchAllPages(
+    z,
+    {
+      url: 'https://api.productboard.com/v2/entities/search',
+      method: 'POST',
+      body: { data: searchData },
+    },
+    { maxPages, onPageCap }
+  );
+
+/**
+ * Fetch one page for a paginated dynamic dropdown (canPaginate: true)
+ * Zapier increments bundle.meta.page; the API's next link is kept in z.cursor between pages.
+ */
+const fetchDropdownPage = async (z, bundle, request) => {
+  let pageRequest = request;
+
+  if (bundle.meta?.page) {
+    const next = await z.cursor.get();
+    if (!next) {
+      return [];
+    }
+    pageRequest = { ...request, url: next };
+    delete pageRequest.params;
+  }
+
+  const response = await requestWithRetry(z, pageRequest);
+  await z.cursor.set(response.data.links?.next || '');
+
+  return response.data.data || [];
+};
+
+/**
+ * Minimal entity row for dynamic dropdowns
+ * Includes the type in the label when the list mixes entity types
+ */
+const formatEntityChoice = (entity, includeType = false) => {
+  const name = entity.fields?.name || entity.id;
+  return {
+    id: entity.id,
+    name: includeType ? `${name} (${ENTITY_TYPES[entity.type] || entity.type})` : name,
+    type: entity.type,
   };
 };
 
@@ -86,6 +578,7 @@ const entityOutputFields = [
   { key: 'name', label: 'Name', type: 'string' },
   { key: 'description', label: 'Description (HTML)', type: 'string' },
   { key: 'descriptionPlainText', label: 'Description', type: 'string' },
+  { key: 'descriptionMarkdown', label: 'Description (Markdown)', type: 'string' },
   { key: 'url', label: 'Productboard URL', type: 'string' },
 
   { key: 'status', label: 'Status', type: 'string' },
@@ -108,14 +601,38 @@ const entityOutputFields = [
   { key: 'health__mode', label: 'Health Mode', type: 'string' },
   { key: 'health__comment', label: 'Health Comment (HTML)', type: 'string' },
   { key: 'health__commentPlainText', label: 'Health Comment', type: 'string' },
+  { key: 'health__commentMarkdown', label: 'Health Comment (Markdown)', type: 'string' },
   { key: 'health__lastUpdatedAt', label: 'Health Last Updated', type: 'datetime' },
   { key: 'health__updatedByEmail', label: 'Health Updated By (Email)', type: 'string' },
   { key: 'health__updatedById', label: 'Health Updated By (ID)', type: 'string' },
 ];
 
 module.exports = {
-  stripHtml,
+  ENTITY_TYPES,
+  PARENT_TYPES,
+  HEALTH_STATUS_OPTIONS,
+  getHealthTrend,
+  toDateOnly,
+  parseCsv,
+  isUuid,
+  formatCustomFieldValue,
+  getWorkspaceSettings,
+  parseWorkspaceSubdomain,
   getEntityUrl,
+  formatHealth,
   formatEntity,
   entityOutputFields,
+  RETRYABLE_STATUSES,
+  getRetryAfterMs,
+  requestWithRetry,
+  createWithRetry,
+  fetchEntity,
+  mapWithConcurrency,
+  DEFAULT_MAX_PAGES,
+  parseMaxPages,
+  fetchAllPages,
+  buildEntitySearchData,
+  searchEntities,
+  fetchDropdownPage,
+  formatEntityChoice,
 };
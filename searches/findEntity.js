@@ -0,0 +1,199 @@
+/**
+ * Find Entity Search
+ *
+ * Finds one entity by name, scoped by type and optionally by parent or product, so
+ * intake Zaps can "find the feature named X under product Y, create it if missing".
+ * Paired with Create Entity as a search-or-create.
+ *
+ * Names are matched exactly or case-insensitively (surrounding whitespace ignored).
+ * When several entities match, the step fails with their IDs instead of picking one,
+ * unless "If Several Match" is set to use the oldest. Archived entities never match.
+ *
+ * The search must cover every matching entity: if Max Pages runs out with pages left,
+ * the step fails rather than report "not found" and let the paired create add a duplicate.
+ *
+ * @see https://developer.productboard.com/v2.0.0/reference/searchentities
+ */
+
+const {
+  ENTITY_TYPES,
+  formatEntity,
+  entityOutputFields,
+  DEFAULT_MAX_PAGES,
+  parseMaxPages,
+  buildEntitySearchData,
+  searchEntities,
+} = require('../lib/utils');
+const { customFieldOutputFields } = require('../lib/configurations');
+
+const MATCH_MODE_OPTIONS = {
+  caseInsensitive: 'Case-insensitive',
+  exact: 'Exact',
+};
+
+const MULTIPLE_MATCH_OPTIONS = {
+  error: 'Stop with an error listing the matches',
+  oldest: 'Use the oldest match',
+};
+
+// Matches listed in the ambiguity error
+const MAX_LISTED_MATCHES = 5;
+
+const normalizeName = (name, matchMode) => {
+  const trimmed = String(name || '').trim();
+  return matchMode === 'exact' ? trimmed : trimmed.toLowerCase();
+};
+
+const perform = async (z, bundle) => {
+  const { entityType, name, parentId, productId, maxPages } = bundle.inputData;
+  const matchMode = bundle.inputData.matchMode || 'caseInsensitive';
+  const ifMultiple = bundle.inputData.ifMultiple || 'error';
+
+  if (!name || !name.trim()) {
+    return [];
+  }
+
+  // Same search as Find Entities; the API has no name filter, so names are matched here
+  const searchData = buildEntitySearchData({ entityType, parentId, productId, archived: 'false' });
+  const pageCap = parseMaxPages(maxPages);
+  const entities = await searchEntities(z, searchData, {
+    maxPages: pageCap,
+    onPageCap: (items) => {
+      throw new z.errors.Error(
+        `Searched ${items.length} entities (${pageCap} pages) without reaching the end, so "${name.trim()}" may exist further on. ` +
+          'Increase Max Pages, or narrow the search with a parent or product.',
+        'SearchIncomplete',
+        400
+      );
+    },
+  });
+
+  const wanted = normalizeName(name, matchMode);
+  const matches = entities
+    .filter((entity) => normalizeName(entity.fields?.name, matchMode) === wanted)
+    .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+
+  if (matches.length > 1 && ifMultiple !== 'oldest') {
+    const listed = matches
+      .slice(0, MAX_LISTED_MATCHES)
+      .map((entity) => `${entity.fields?.name} (${entity.id})`)
+      .join(', ');
+    const more = matches.length > MAX_LISTED_MATCHES ? ` and ${matches.length - MAX_LISTED_MATCHES} more` : '';
+
+    throw new z.errors.Error(
+      `Found ${matches.length} entities named "${name.trim()}": ${listed}${more}. ` +
+        'Narrow the search with a parent or product, or set "If Several Match" to use the oldest.',
+      'AmbiguousMatch',
+      409
+    );
+  }
+
+  return matches.slice(0, 1).map((entity) => ({
+    ...formatEntity(entity, bundle.authData),
+    matchCount: matches.length,
+  }));
+};
+
+// Sample data for Zap editor testing
+const sample = {
+  id: 'ent_feature789',
+  type: 'feature',
+  name: 'Bulk CSV Export',
+  description: '<p>Requested via intake form</p>',
+  descriptionPlainText: 'Requested via intake form',
+  url: 'https://acme.productboard.com/feature-board/165206/detail/feature/ent_feature789',
+
+  status: 'New idea',
+  statusId: 'status_001',
+  archived: false,
+
+  ownerEmail: 'pm@example.com',
+  ownerId: 'member_456',
+
+  startDate: '',
+  endDate: '',
+
+  createdAt: '2025-12-14T09:00:00Z',
+  updatedAt: '2025-12-14T09:00:00Z',
+
+  health: null,
+
+  matchCount: 1,
+};
+
+module.exports = {
+  key: 'findEntity',
+  noun: 'Entity',
+  display: {
+    label: 'Find Entity by Name',
+    description: 'Finds a feature, initiative, or other entity by name, optionally under a parent or product.',
+  },
+  operation: {
+    perform,
+    inputFields: [
+      {
+        key: 'entityType',
+        label: 'Entity Type',
+        type: 'string',
+        choices: ENTITY_TYPES,
+        required: true,
+        helpText: 'The type of entity to find.',
+      },
+      {
+        key: 'name',
+        label: 'Name',
+        type: 'string',
+        required: true,
+        helpText: 'The entity name to look for. Archived entities are not matched, so an archived entity with this name is not found (and is created again when paired with Create Entity).',
+      },
+      {
+        key: 'matchMode',
+        label: 'Name Match',
+        type: 'string',
+        choices: MATCH_MODE_OPTIONS,
+        required: false,
+        default: 'caseInsensitive',
+        helpText: 'How names are compared. Surrounding spaces are always ignored.',
+      },
+      {
+        key: 'parentId',
+        label: 'Parent Entity ID',
+        type: 'string',
+        required: false,
+        dynamic: 'parentEntityList.id.name',
+        helpText: 'Only match entities directly under this parent (e.g., a component). Also used as the parent if the entity is created.',
+      },
+      {
+        key: 'productId',
+        label: 'Product ID',
+        type: 'string',
+        required: false,
+        dynamic: 'productList.id.name',
+        helpText: 'Only match entities belonging to this product.',
+      },
+      {
+        key: 'ifMultiple',
+        label: 'If Several Match',
+        type: 'string',
+        choices: MULTIPLE_MATCH_OPTIONS,
+        required: false,
+        default: 'error',
+        helpText: 'What to do when more than one entity has this name.',
+      },
+      {
+        key: 'maxPages',
+        label: 'Max Pages',
+        type: 'integer',
+        required: false,
+        default: String(DEFAULT_MAX_PAGES),
+        helpText: 'Maximum number of result pages to scan (up to 50). The step fails if more pages remain, so increase this for large workspaces.',
+      },
+    ],
+    sample,
+    outputFields: [
+      ...entityOutputFields,
+      { key: 'matchCount', label: 'Number of Matches', type: 'integer' },
+      customFieldOutputFields,
+    ],
+  },
+};
@@ -0,0 +1,124 @@
+/**
+ * Find Notes Search
+ *
+ * Searches notes (insights) from Productboard API v2.0.0.
+ * Supports filtering by text, tags, owner, company, creation date, and linked feature.
+ *
+ * @see https://developer.productboard.com/v2.0.0/reference/list-notes
+ */
+
+const { DEFAULT_MAX_PAGES, parseMaxPages, fetchAllPages } = require('../lib/utils');
+const { buildNoteSearchParams, formatNote, noteOutputFields } = require('../lib/notes');
+
+const perform = async (z, bundle) => {
+  const notes = await fetchAllPages(
+    z,
+    {
+      url: 'https://api.productboard.com/v2/notes',
+      method: 'GET',
+      params: buildNoteSearchParams(bundle.inputData),
+    },
+    { maxPages: parseMaxPages(bundle.inputData.maxPages) }
+  );
+
+  return notes.map(formatNote);
+};
+
+// Sample data for Zap editor testing
+const sample = {
+  id: '62099d4c-571f-405d-abc0-9e3925d053ee',
+  type: 'simple',
+  title: 'Customer asked for CSV export',
+  content: '<p>We need to export our reports to CSV every week.</p>',
+  contentPlainText: 'We need to export our reports to CSV every week.',
+  tags: ['export', 'reporting'],
+
+  ownerEmail: 'pm@example.com',
+  ownerId: 'member_456',
+
+  sourceOrigin: 'zendesk',
+  sourceUrl: 'https://acme.zendesk.com/agent/tickets/1234',
+
+  url: 'https://acme.productboard.com/all-notes/notes/62099d4c-571f-405d-abc0-9e3925d053ee',
+  apiUrl: 'https://api.productboard.com/v2/notes/62099d4c-571f-405d-abc0-9e3925d053ee',
+
+  createdAt: '2025-12-13T12:00:00Z',
+  updatedAt: '2025-12-13T12:00:00Z',
+};
+
+module.exports = {
+  key: 'findNotes',
+  noun: 'Note',
+  display: {
+    label: 'Find Notes',
+    description: 'Searches notes (insights) by text, tags, owner, company, date, or linked feature.',
+  },
+  operation: {
+    perform,
+    inputFields: [
+      {
+        key: 'term',
+        label: 'Search Text',
+        type: 'string',
+        required: false,
+        helpText: 'Find notes whose title or content contains this text.',
+      },
+      {
+        key: 'tags',
+        label: 'Tags',
+        type: 'string',
+        list: true,
+        required: false,
+        helpText: 'Only notes that have all of these tags.',
+      },
+      {
+        key: 'ownerEmail',
+        label: 'Owner Email',
+        type: 'string',
+        required: false,
+        dynamic: 'memberList.email.name',
+        helpText: 'Only notes owned by this member.',
+      },
+      {
+        key: 'companyId',
+        label: 'Company ID',
+        type: 'string',
+        required: false,
+        helpText: 'Only notes from this customer company.',
+      },
+      {
+        key: 'featureId',
+        label: 'Linked Feature ID',
+        type: 'string',
+        required: false,
+        dynamic: 'entityList.id.name',
+        search: 'listEntities.id',
+        helpText: 'Only notes linked to this feature.',
+      },
+      {
+        key: 'createdFrom',
+        label: 'Created After',
+        type: 'datetime',
+        required: false,
+        helpText: 'Only notes created on or after this date (YYYY-MM-DD).',
+      },
+      {
+        key: 'createdTo',
+        label: 'Created Before',
+        type: 'datetime',
+        required: false,
+        helpText: 'Only notes created on or before this date (YYYY-MM-DD).',
+      },
+      {
+        key: 'maxPages',
+        label: 'Max Pages',
+        type: 'integer',
+        required: false,
+        default: String(DEFAULT_MAX_PAGES),
+        helpText: 'Maximum number of result pages to fetch from Productboard (up to 50).',
+      },
+    ],
+    sample,
+    outputFields: noteOutputFields,
+  },
+};
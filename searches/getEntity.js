@@ -6,7 +6,8 @@
  * @see https://developer.productboard.com/v2.0.0/reference/retrieve-entity
  */
 
-const { formatEntity, entityOutputFields } = require('../lib/utils');
+const { formatEntity, entityOutputFields, requestWithRetry } = require('../lib/utils');
+const { customFieldOutputFields } = require('../lib/configurations');
 
 const perform = async (z, bundle) => {
   const { entityId } = bundle.inputData;
@@ -16,13 +17,13 @@ const perform = async (z, bundle) => {
   }
 
   try {
-    const response = await z.request({
+    const response = await requestWithRetry(z, {
       url: `https://api.productboard.com/v2/entities/${entityId}`,
       method: 'GET',
     });
 
     const entity = response.data.data || response.data;
-    return [formatEntity(entity)];
+    return [formatEntity(entity, bundle.authData)];
   } catch (error) {
     // Entity not found - return empty array (standard for searches)
     if (error.status === 404) {
@@ -39,7 +40,7 @@ const sample = {
   name: 'Dark Mode Support',
   description: '<p>Implement dark mode theme across the application</p>',
   descriptionPlainText: 'Implement dark mode theme across the application',
-  url: 'https://zapier.productboard.com/feature-board/165206/detail/feature/ent_feature123',
+  url: 'https://acme.productboard.com/feature-board/165206/detail/feature/ent_feature123',
 
   status: 'Planned',
   statusId: 'status_456',
@@ -82,10 +83,12 @@ module.exports = {
         label: 'Entity ID',
         type: 'string',
         required: true,
-        helpText: 'The unique ID of the entity to retrieve (e.g., from a previous Productboard step).',
+        dynamic: 'entityList.id.name',
+        search: 'listEntities.id',
+        helpText: 'The entity to retrieve. Choose from the list, or use an ID from a previous Productboard step.',
       },
     ],
     sample,
-    outputFields: entityOutputFields,
+    outputFields: [...entityOutputFields, customFieldOutputFields],
   },
 };
@@ -0,0 +1,177 @@
+/**
+ * Get Entity Hierarchy Search
+ *
+ * Walks parent/child relationships from a starting entity and returns a flattened list
+ * of its descendants (e.g., all features under an initiative or product) or ancestors
+ * (e.g., the component and product above a subfeature).
+ *
+ * Each row is the full entity payload plus:
+ * - depth: levels away from the starting entity (1 = direct child/parent)
+ * - path: breadcrumb of names, top-most first (e.g., "Product > Component > Feature")
+ * - rootId: the starting entity's ID
+ *
+ * Cycle protection and a max-node guard keep the walk bounded.
+ *
+ * @see https://developer.productboard.com/v2.0.0/reference/getentityrelationships
+ */
+
+const { ENTITY_TYPES, formatEntity, entityOutputFields } = require('../lib/utils');
+const { walkHierarchy } = require('../lib/relationships');
+
+const DIRECTION_OPTIONS = {
+  descendants: 'Descendants (children, grandchildren, ...)',
+  ancestors: 'Ancestors (parent, grandparent, ...)',
+};
+
+const DEFAULT_MAX_DEPTH = 3;
+const MAX_DEPTH_LIMIT = 10;
+const DEFAULT_MAX_NODES = 200;
+const MAX_NODES_LIMIT = 1000;
+
+const clamp = (value, fallback, max) => {
+  const parsed = parseInt(value, 10);
+  if (!parsed || parsed < 1) return fallback;
+  return Math.min(parsed, max);
+};
+
+const perform = async (z, bundle) => {
+  const { entityId, entityType } = bundle.inputData;
+  const direction = bundle.inputData.direction || 'descendants';
+
+  if (!entityId) {
+    return [];
+  }
+
+  let walk;
+  try {
+    walk = await walkHierarchy(z, entityId, {
+      direction,
+      maxDepth: clamp(bundle.inputData.maxDepth, DEFAULT_MAX_DEPTH, MAX_DEPTH_LIMIT),
+      maxNodes: clamp(bundle.inputData.maxNodes, DEFAULT_MAX_NODES, MAX_NODES_LIMIT),
+    });
+  } catch (error) {
+    // Entity not found - return empty array (standard for searches)
+    if (error.status === 404) {
+      return [];
+    }
+    throw error;
+  }
+
+  if (walk.truncated) {
+    z.console.log(`Hierarchy walk from ${entityId} stopped at the max node limit`);
+  }
+
+  return walk.nodes
+    // Type filter only trims the output; the walk still passes through other types
+    .filter((node) => !entityType || node.entity.type === entityType)
+    .map((node) => {
+      // Breadcrumbs read top-down, so ancestor paths are reversed
+      const names = direction === 'ancestors' ? [...node.pathNames].reverse() : node.pathNames;
+      const ids = direction === 'ancestors' ? [...node.pathIds].reverse() : node.pathIds;
+
+      return {
+        ...formatEntity(node.entity, bundle.authData),
+        depth: node.depth,
+        path: names.join(' > '),
+        pathIds: ids,
+        rootId: walk.root.id,
+        truncated: walk.truncated,
+      };
+    });
+};
+
+// Sample data for Zap editor testing
+const sample = {
+  id: 'ent_feature123',
+  type: 'feature',
+  name: 'Dark Mode Support',
+  description: '<p>Implement dark mode theme across the application</p>',
+  descriptionPlainText: 'Implement dark mode theme across the application',
+  url: 'https://acme.productboard.com/feature-board/165206/detail/feature/ent_feature123',
+
+  status: 'Planned',
+  statusId: 'status_456',
+  archived: false,
+
+  ownerEmail: 'pm@example.com',
+  ownerId: 'member_456',
+
+  startDate: '2025-02-01',
+  endDate: '2025-04-30',
+
+  createdAt: '2025-06-01T00:00:00Z',
+  updatedAt: '2025-12-13T15:30:00Z',
+
+  health: null,
+
+  depth: 2,
+  path: 'Mobile App > Settings > Dark Mode Support',
+  pathIds: ['ent_product1', 'ent_component1', 'ent_feature123'],
+  rootId: 'ent_product1',
+  truncated: false,
+};
+
+module.exports = {
+  key: 'getEntityHierarchy',
+  noun: 'Entity',
+  display: {
+    label: 'Get Entity Hierarchy',
+    description: 'Finds all descendants or ancestors of an entity by walking parent/child relationships.',
+  },
+  operation: {
+    perform,
+    inputFields: [
+      {
+        key: 'entityId',
+        label: 'Starting Entity ID',
+        type: 'string',
+        required: true,
+        dynamic: 'entityList.id.name',
+        search: 'listEntities.id',
+        helpText: 'The entity to start from.',
+      },
+      {
+        key: 'direction',
+        label: 'Direction',
+        type: 'string',
+        choices: DIRECTION_OPTIONS,
+        required: true,
+        default: 'descendants',
+        helpText: 'Walk down to children or up to parents.',
+      },
+      {
+        key: 'entityType',
+        label: 'Only Return Entity Type',
+        type: 'string',
+        choices: ENTITY_TYPES,
+        required: false,
+        helpText: 'Only return entities of this type (e.g., Feature). The walk still passes through other types.',
+      },
+      {
+        key: 'maxDepth',
+        label: 'Max Depth',
+        type: 'integer',
+        required: false,
+        default: String(DEFAULT_MAX_DEPTH),
+        helpText: `How many levels to walk (up to ${MAX_DEPTH_LIMIT}).`,
+      },
+      {
+        key: 'maxNodes',
+        label: 'Max Entities',
+        type: 'integer',
+        required: false,
+        default: String(DEFAULT_MAX_NODES),
+        helpText: `Stop after this many entities (up to ${MAX_NODES_LIMIT}). Each entity costs two API requests.`,
+      },
+    ],
+    sample,
+    outputFields: [
+      ...entityOutputFields,
+      { key: 'depth', label: 'Depth', type: 'integer' },
+      { key: 'path', label: 'Path', type: 'string' },
+      { key: 'pathIds', label: 'Path IDs', type: 'string', list: true },
+      { key: 'rootId', label: 'Starting Entity ID', type: 'string' },
+      { key: 'truncated', label: 'Stopped at Max Entities', type: 'boolean' },
+    ],
+  },
+};
@@ -4,37 +4,72 @@
  * Retrieves all relationships for a specific entity from Productboard API v2.0.0
  * Returns parent, child, and linked entity connections.
  *
+ * Related entities can optionally be hydrated with the full entity payload
+ * (name, status, owner, health, web URL), either on demand via Zapier dehydration
+ * or fetched up front with bounded concurrency.
+ *
  * @see https://developer.productboard.com/v2.0.0/reference/getentityrelationships
  */
 
+const hydrators = require('../hydrators');
+const { formatEntity, fetchEntity, mapWithConcurrency } = require('../lib/utils');
+const {
+  formatEntityRelationship,
+  fetchEntityRelationships,
+  relationshipOutputFields,
+} = require('../lib/relationships');
+
+const HYDRATE_OPTIONS = {
+  none: 'No (IDs only)',
+  lazy: 'On demand (fetched only when a later step uses it)',
+  eager: 'Yes, fetch now (visible in the Zap editor and filters)',
+};
+
+// Parallel entity fetches when hydrating eagerly, well under the 50 req/s limit
+const HYDRATE_CONCURRENCY = 5;
+
+/**
+ * Fetch a related entity for eager hydration; deleted/inaccessible entities become null
+ */
+const fetchRelatedEntity = async (z, bundle, entityId) => {
+  try {
+    return formatEntity(await fetchEntity(z, entityId), bundle.authData);
+  } catch (error) {
+    if (error.status === 404 || error.status === 403) {
+      return null;
+    }
+    throw error;
+  }
+};
+
 const perform = async (z, bundle) => {
-  const { entityId } = bundle.inputData;
+  const { entityId, hydrate } = bundle.inputData;
 
   if (!entityId) {
     return [];
   }
 
   try {
-    const response = await z.request({
-      url: `https://api.productboard.com/v2/entities/${entityId}/relationships`,
-      method: 'GET',
-    });
-
-    const data = response.data.data || response.data;
-    const relationships = Array.isArray(data) ? data : [data];
+    const relationships = await fetchEntityRelationships(z, entityId);
 
     // Format each relationship for output
-    // API returns: { type: "link"|"parent"|"child", target: { id, type, links } }
-    return relationships.map((rel) => ({
-      id: `${entityId}_${rel.target?.id || 'unknown'}`,
-      sourceEntityId: entityId,
-      relationshipType: rel.type || '',
+    const results = relationships.map((rel) => formatEntityRelationship(entityId, rel));
+
+    if (hydrate === 'lazy') {
+      return results.map((rel) => ({
+        ...rel,
+        relatedEntity: z.dehydrate(hydrators.entity, { entityId: rel.relatedEntityId }),
+      }));
+    }
+
+    if (hydrate === 'eager') {
+      return mapWithConcurrency(results, HYDRATE_CONCURRENCY, async (rel) => ({
+        ...rel,
+        relatedEntity: await fetchRelatedEntity(z, bundle, rel.relatedEntityId),
+      }));
+    }
 
-      // Related entity details from target object
-      relatedEntityId: rel.target?.id || '',
-      relatedEntityType: rel.target?.type || '',
-      relatedEntityUrl: rel.target?.links?.self || '',
-    }));
+    return results;
   } catch (error) {
     // Entity not found - return empty array (standard for searches)
     if (error.status === 404) {
@@ -54,15 +89,6 @@ const sample = {
   relatedEntityUrl: 'https://api.productboard.com/v2/entities/017a2f72-d597-4e36-98b9-cee533018dd0',
 };
 
-const outputFields = [
-  { key: 'id', label: 'Relationship ID', type: 'string' },
-  { key: 'sourceEntityId', label: 'Source Entity ID', type: 'string' },
-  { key: 'relationshipType', label: 'Relationship Type', type: 'string' },
-  { key: 'relatedEntityId', label: 'Related Entity ID', type: 'string' },
-  { key: 'relatedEntityType', label: 'Related Entity Type', type: 'string' },
-  { key: 'relatedEntityUrl', label: 'Related Entity API URL', type: 'string' },
-];
-
 module.exports = {
   key: 'getEntityRelationships',
   noun: 'Entity Relationship',
@@ -78,10 +104,29 @@ module.exports = {
         label: 'Entity ID',
         type: 'string',
         required: true,
-        helpText: 'The unique ID of the entity to retrieve relationships for.',
+        dynamic: 'entityList.id.name',
+        search: 'listEntities.id',
+        helpText: 'The entity to retrieve relationships for. Choose from the list or enter an entity ID.',
+      },
+      {
+        key: 'hydrate',
+        label: 'Include Related Entity Details',
+        type: 'string',
+        choices: HYDRATE_OPTIONS,
+        required: false,
+        default: 'none',
+        helpText:
+          'Include the name, status, owner, health and web URL of each related entity. "On demand" avoids extra API calls for details your Zap never uses.',
       },
     ],
     sample,
-    outputFields,
+    outputFields: [
+      ...relationshipOutputFields,
+      { key: 'relatedEntity__name', label: 'Related Entity Name', type: 'string' },
+      { key: 'relatedEntity__status', label: 'Related Entity Status', type: 'string' },
+      { key: 'relatedEntity__ownerEmail', label: 'Related Entity Owner Email', type: 'string' },
+      { key: 'relatedEntity__health__status', label: 'Related Entity Health Status', type: 'string' },
+      { key: 'relatedEntity__url', label: 'Related Entity Productboard URL', type: 'string' },
+    ],
   },
 };
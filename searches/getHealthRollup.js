@@ -0,0 +1,232 @@
+/**
+ * Get Health Rollup Search
+ *
+ * Aggregates health across an entity subtree (all descendants of a root entity) or
+ * across every active entity of a type, and returns one report:
+ * - counts of onTrack / atRisk / offTrack / notSet
+ * - the worst status present
+ * - how many entities have stale health (last health update more than N days ago;
+ *   entities that never had health count only as notSet)
+ * - a ready-to-post plain-text and HTML summary
+ *
+ * Built for "Schedule → Productboard → Slack/Email" health report Zaps.
+ *
+ * @see https://developer.productboard.com/v2.0.0/reference/searchentities
+ */
+
+const {
+  ENTITY_TYPES,
+  HEALTH_STATUS_OPTIONS,
+  formatEntity,
+  DEFAULT_MAX_PAGES,
+  parseMaxPages,
+  buildEntitySearchData,
+  searchEntities,
+} = require('../lib/utils');
+const { walkHierarchy } = require('../lib/relationships');
+const { summarizeHealth, renderHealthSummary } = require('../lib/health');
+
+const DEFAULT_STALE_DAYS = 14;
+const DEFAULT_MAX_DEPTH = 5;
+const MAX_DEPTH_LIMIT = 10;
+const MAX_NODES = 500;
+
+/**
+ * Collect formatted entities for the report and describe the scope
+ */
+const collectEntities = async (z, bundle) => {
+  const { rootEntityId, entityType } = bundle.inputData;
+
+  if (rootEntityId) {
+    const maxDepth = Math.min(parseInt(bundle.inputData.maxDepth, 10) || DEFAULT_MAX_DEPTH, MAX_DEPTH_LIMIT);
+    const walk = await walkHierarchy(z, rootEntityId, { direction: 'descendants', maxDepth, maxNodes: MAX_NODES });
+    if (walk.truncated) {
+      z.console.log(`Health rollup for ${rootEntityId} stopped at ${MAX_NODES} entities`);
+    }
+
+    const root = formatEntity(walk.root, bundle.authData);
+    return {
+      title: `Health rollup for ${root.name}`,
+      root,
+      truncated: walk.truncated,
+      entities: walk.nodes
+        .map((node) => formatEntity(node.entity, bundle.authData))
+        // Archived work no longer needs a health status
+        .filter((entity) => !entity.archived && (!entityType || entity.type === entityType)),
+    };
+  }
+
+  const searchData = buildEntitySearchData({ entityType, archived: 'false' });
+  let truncated = false;
+  const entities = await searchEntities(z, searchData, {
+    maxPages: parseMaxPages(bundle.inputData.maxPages),
+    onPageCap: (items) => {
+      truncated = true;
+      z.console.log(`Health rollup for ${entityType} stopped at Max Pages (${items.length} entities)`);
+    },
+  });
+
+  return {
+    title: `Health rollup for all ${ENTITY_TYPES[entityType] || entityType} entities`,
+    root: null,
+    truncated,
+    entities: entities.map((entity) => formatEntity(entity, bundle.authData)),
+  };
+};
+
+const perform = async (z, bundle) => {
+  const { rootEntityId, entityType } = bundle.inputData;
+  const staleDays = parseInt(bundle.inputData.staleDays, 10) || DEFAULT_STALE_DAYS;
+
+  if (!rootEntityId && !entityType) {
+    throw new z.errors.Error(
+      'Choose a Root Entity, an Entity Type, or both.',
+      'InvalidInput',
+      400
+    );
+  }
+
+  const scope = await collectEntities(z, bundle);
+  const now = Date.now();
+  const summary = summarizeHealth(scope.entities, { staleDays, now });
+
+  return [
+    {
+      id: `${rootEntityId || entityType}_${now}`,
+      rootId: scope.root?.id || '',
+      rootName: scope.root?.name || '',
+      entityType: entityType || '',
+      total: summary.total,
+      counts: summary.counts,
+      worstStatus: summary.worstStatus,
+      worstStatusLabel: HEALTH_STATUS_OPTIONS[summary.worstStatus],
+      staleDays,
+      staleCount: summary.staleCount,
+      offTrackNames: summary.names.offTrack,
+      atRiskNames: summary.names.atRisk,
+      truncated: scope.truncated,
+      generatedAt: new Date(now).toISOString(),
+      ...renderHealthSummary(summary, { title: scope.title, staleDays }),
+    },
+  ];
+};
+
+// Sample data for Zap editor testing
+const sample = {
+  id: 'ent_initiative1_1765620000000',
+  rootId: 'ent_initiative1',
+  rootName: 'Self-serve Onboarding',
+  entityType: '',
+  total: 6,
+  counts: {
+    notSet: 1,
+    onTrack: 3,
+    atRisk: 1,
+    offTrack: 1,
+  },
+  worstStatus: 'offTrack',
+  worstStatusLabel: 'Off Track',
+  staleDays: 14,
+  staleCount: 2,
+  offTrackNames: ['SSO Setup Wizard'],
+  atRiskNames: ['Guided Tour'],
+  truncated: false,
+  generatedAt: '2025-12-13T10:00:00.000Z',
+  summaryText: [
+    'Health rollup for Self-serve Onboarding (6 entities)',
+    'On Track: 3 | At Risk: 1 | Off Track: 1 | Not Set: 1',
+    'Worst status: Off Track',
+    'Stale (no health update in 14 days): 2',
+    '',
+    'Off Track:',
+    '- SSO Setup Wizard',
+    '',
+    'At Risk:',
+    '- Guided Tour',
+  ].join('\n'),
+  summaryHtml:
+    '<p><strong>Health rollup for Self-serve Onboarding (6 entities)</strong></p>' +
+    '<p>On Track: 3 | At Risk: 1 | Off Track: 1 | Not Set: 1<br>Worst status: Off Track<br>' +
+    'Stale (no health update in 14 days): 2</p>' +
+    '<p>Off Track:</p><ul><li>SSO Setup Wizard</li></ul>' +
+    '<p>At Risk:</p><ul><li>Guided Tour</li></ul>',
+};
+
+module.exports = {
+  key: 'getHealthRollup',
+  noun: 'Health Rollup',
+  display: {
+    label: 'Get Health Rollup',
+    description:
+      'Summarizes health (on track, at risk, off track, stale) across everything under an entity or all entities of a type.',
+  },
+  operation: {
+    perform,
+    inputFields: [
+      {
+        key: 'rootEntityId',
+        label: 'Root Entity ID',
+        type: 'string',
+        required: false,
+        dynamic: 'entityList.id.name',
+        search: 'listEntities.id',
+        helpText:
+          'Report on all descendants of this entity (e.g., every feature under a product or initiative). Leave empty to report on all entities of the type below.',
+      },
+      {
+        key: 'entityType',
+        label: 'Entity Type',
+        type: 'string',
+        choices: ENTITY_TYPES,
+        required: false,
+        helpText: 'Only include entities of this type. Required when no Root Entity is chosen.',
+      },
+      {
+        key: 'staleDays',
+        label: 'Stale After (Days)',
+        type: 'integer',
+        required: false,
+        default: String(DEFAULT_STALE_DAYS),
+        helpText: 'Count health as stale when it has not been updated for this many days.',
+      },
+      {
+        key: 'maxDepth',
+        label: 'Max Depth',
+        type: 'integer',
+        required: false,
+        default: String(DEFAULT_MAX_DEPTH),
+        helpText: `How many levels below the Root Entity to include (up to ${MAX_DEPTH_LIMIT}).`,
+      },
+      {
+        key: 'maxPages',
+        label: 'Max Pages',
+        type: 'integer',
+        required: false,
+        default: String(DEFAULT_MAX_PAGES),
+        helpText: 'Without a Root Entity: maximum number of result pages to scan (up to 50).',
+      },
+    ],
+    sample,
+    outputFields: [
+      { key: 'id', label: 'Report ID', type: 'string' },
+      { key: 'rootId', label: 'Root Entity ID', type: 'string' },
+      { key: 'rootName', label: 'Root Entity Name', type: 'string' },
+      { key: 'entityType', label: 'Entity Type', type: 'string' },
+      { key: 'total', label: 'Total Entities', type: 'integer' },
+      { key: 'counts__onTrack', label: 'On Track Count', type: 'integer' },
+      { key: 'counts__atRisk', label: 'At Risk Count', type: 'integer' },
+      { key: 'counts__offTrack', label: 'Off Track Count', type: 'integer' },
+      { key: 'counts__notSet', label: 'Not Set Count', type: 'integer' },
+      { key: 'worstStatus', label: 'Worst Status', type: 'string' },
+      { key: 'worstStatusLabel', label: 'Worst Status Label', type: 'string' },
+      { key: 'staleDays', label: 'Stale After (Days)', type: 'integer' },
+      { key: 'staleCount', label: 'Stale Count', type: 'integer' },
+      { key: 'offTrackNames', label: 'Off Track Entities', type: 'string', list: true },
+      { key: 'atRiskNames', label: 'At Risk Entities', type: 'string', list: true },
+      { key: 'truncated', label: 'Stopped Early (Max Entities or Max Pages)', type: 'boolean' },
+      { key: 'generatedAt', label: 'Generated At', type: 'datetime' },
+      { key: 'summaryText', label: 'Summary (Plain Text)', type: 'string' },
+      { key: 'summaryHtml', label: 'Summary (HTML)', type: 'string' },
+    ],
+  },
+};
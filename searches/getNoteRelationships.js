@@ -0,0 +1,78 @@
+/**
+ * Get Note Relationships Search
+ *
+ * Retrieves all relationships for a note from Productboard API v2.0.0:
+ * the customer (user or company) link and every product link (features, products, components).
+ *
+ * @see https://developer.productboard.com/v2.0.0/reference/listnoterelationships
+ */
+
+const { fetchAllPages } = require('../lib/utils');
+const { formatNoteRelationship } = require('../lib/notes');
+
+const perform = async (z, bundle) => {
+  const { noteId } = bundle.inputData;
+
+  if (!noteId) {
+    return [];
+  }
+
+  try {
+    const relationships = await fetchAllPages(z, {
+      url: `https://api.productboard.com/v2/notes/${noteId}/relationships`,
+      method: 'GET',
+    });
+
+    return relationships.map((rel) => formatNoteRelationship(noteId, rel));
+  } catch (error) {
+    // Note not found - return empty array (standard for searches)
+    if (error.status === 404) {
+      return [];
+    }
+    throw error;
+  }
+};
+
+// Sample data for Zap editor testing
+const sample = {
+  id: '62099d4c-571f-405d-abc0-9e3925d053ee_7e8581c9-900d-40f5-bf91-5d5cb790a53d',
+  noteId: '62099d4c-571f-405d-abc0-9e3925d053ee',
+  relationshipType: 'link',
+  relatedEntityId: '7e8581c9-900d-40f5-bf91-5d5cb790a53d',
+  relatedEntityType: 'feature',
+  relatedEntityUrl: 'https://api.productboard.com/v2/entities/7e8581c9-900d-40f5-bf91-5d5cb790a53d',
+};
+
+const outputFields = [
+  { key: 'id', label: 'Relationship ID', type: 'string' },
+  { key: 'noteId', label: 'Note ID', type: 'string' },
+  { key: 'relationshipType', label: 'Relationship Type (customer/link)', type: 'string' },
+  { key: 'relatedEntityId', label: 'Related Entity ID', type: 'string' },
+  { key: 'relatedEntityType', label: 'Related Entity Type', type: 'string' },
+  { key: 'relatedEntityUrl', label: 'Related Entity API URL', type: 'string' },
+];
+
+module.exports = {
+  key: 'getNoteRelationships',
+  noun: 'Note Relationship',
+  display: {
+    label: 'Get Note Relationships',
+    description: 'Retrieves the customer and all linked features, products, or components for a note.',
+  },
+  operation: {
+    perform,
+    inputFields: [
+      {
+        key: 'noteId',
+        label: 'Note ID',
+        type: 'string',
+        required: true,
+        dynamic: 'noteList.id.title',
+        search: 'findNotes.id',
+        helpText: 'The note to retrieve relationships for.',
+      },
+    ],
+    sample,
+    outputFields,
+  },
+};
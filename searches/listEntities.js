@@ -7,26 +7,17 @@
  * @see https://developer.productboard.com/v2.0.0/reference/searchentities
  */
 
-const { formatEntity, entityOutputFields } = require('../lib/utils');
-
-const ENTITY_TYPES = {
-  product: 'Product',
-  component: 'Component',
-  feature: 'Feature',
-  subfeature: 'Subfeature',
-  initiative: 'Initiative',
-  objective: 'Objective',
-  keyResult: 'Key Result',
-  release: 'Release',
-  releaseGroup: 'Release Group',
-};
-
-const HEALTH_STATUSES = {
-  notSet: 'Not Set',
-  onTrack: 'On Track',
-  atRisk: 'At Risk',
-  offTrack: 'Off Track',
-};
+const {
+  ENTITY_TYPES,
+  HEALTH_STATUS_OPTIONS,
+  formatEntity,
+  entityOutputFields,
+  DEFAULT_MAX_PAGES,
+  parseMaxPages,
+  buildEntitySearchData,
+  searchEntities,
+} = require('../lib/utils');
+const { customFieldOutputFields } = require('../lib/configurations');
 
 const ARCHIVED_OPTIONS = {
   false: 'Active only',
@@ -35,88 +26,13 @@ const ARCHIVED_OPTIONS = {
 };
 
 const perform = async (z, bundle) => {
-  const { entityType, ownerEmails, statusNames, healthStatus, archived, 
-          parentId, componentId, productId, initiativeId, objectiveId, releaseId,
-          startDate, endDate } = bundle.inputData;
-
-  // Build the search request body per Productboard API v2 spec
-  // Structure: { data: { owners: [{email}], statuses: [{name}], ... } }
-  const searchData = {
-    fields: 'default',
-  };
-
-  // Entity type filter - use 'type' (singular) as the field name
-  if (entityType) {
-    searchData.type = entityType;
-  }
-
-  // Owner filter - array of objects with email
-  if (ownerEmails) {
-    const emails = Array.isArray(ownerEmails) ? ownerEmails : ownerEmails.split(',').map(e => e.trim());
-    searchData.owners = emails.map(email => ({ email }));
-  }
-
-  // Status filter - array of objects with name
-  if (statusNames) {
-    const names = Array.isArray(statusNames) ? statusNames : statusNames.split(',').map(s => s.trim());
-    searchData.statuses = names.map(name => ({ name }));
-  }
-
-  // Health status filter
-  if (healthStatus) {
-    searchData.health = { status: healthStatus };
-  }
-
-  // Archived filter
-  if (archived && archived !== 'all') {
-    searchData.archived = archived === 'true';
-  }
-
-  // Parent filter
-  if (parentId) {
-    searchData.parent = { id: parentId };
-  }
+  const searchData = buildEntitySearchData(bundle.inputData);
 
-  // Component filter
-  if (componentId) {
-    searchData.component = { id: componentId };
-  }
-
-  // Product filter
-  if (productId) {
-    searchData.product = { id: productId };
-  }
-
-  // Initiative filter
-  if (initiativeId) {
-    searchData.initiative = { id: initiativeId };
-  }
-
-  // Objective filter
-  if (objectiveId) {
-    searchData.objective = { id: objectiveId };
-  }
-
-  // Release filter
-  if (releaseId) {
-    searchData.release = { id: releaseId };
-  }
-
-  // Timeframe filter
-  if (startDate || endDate) {
-    searchData.timeframe = {};
-    if (startDate) searchData.timeframe.startDate = startDate;
-    if (endDate) searchData.timeframe.endDate = endDate;
-  }
-
-  const response = await z.request({
-    url: 'https://api.productboard.com/v2/entities/search',
-    method: 'POST',
-    body: { data: searchData },
+  const entities = await searchEntities(z, searchData, {
+    maxPages: parseMaxPages(bundle.inputData.maxPages),
   });
 
-  const entities = response.data.data || [];
-  return entities.map(formatEntity);
+  return entities.map((entity) => formatEntity(entity, bundle.authData));
 };
 
 // Sample data for Zap editor testing
@@ -126,7 +42,7 @@ const sample = {
   name: 'User Authentication',
   description: '<p>Implement secure user authentication flow</p>',
   descriptionPlainText: 'Implement secure user authentication flow',
-  url: 'https://zapier.productboard.com/feature-board/165206/detail/feature/ent_abc123',
+  url: 'https://acme.productboard.com/feature-board/165206/detail/feature/ent_abc123',
 
   status: 'In Progress',
   statusId: 'status_123',
@@ -190,6 +106,7 @@ module.exports = {
         label: 'Status Names',
         type: 'string',
         required: false,
+        dynamic: 'statusList.name.name',
         helpText:
           'Filter by status name(s). Enter comma-separated status names exactly as they appear in Productboard (e.g., "In Progress,Done").',
       },
@@ -197,7 +114,7 @@ module.exports = {
         key: 'healthStatus',
         label: 'Health Status',
         type: 'string',
-        choices: HEALTH_STATUSES,
+        choices: HEALTH_STATUS_OPTIONS,
         required: false,
         helpText: 'Filter by health status.',
       },
@@ -217,6 +134,7 @@ module.exports = {
         label: 'Parent Entity ID',
         type: 'string',
         required: false,
+        dynamic: 'parentEntityList.id.name',
         helpText: 'Filter by parent entity ID. Useful for finding child entities.',
       },
       {
@@ -224,6 +142,7 @@ module.exports = {
         label: 'Product ID',
         type: 'string',
         required: false,
+        dynamic: 'productList.id.name',
         helpText: 'Filter entities belonging to a specific product.',
       },
       {
@@ -252,6 +171,7 @@ module.exports = {
         label: 'Release ID',
         type: 'string',
         required: false,
+        dynamic: 'releaseList.id.name',
         helpText: 'Filter entities assigned to a specific release.',
       },
 
@@ -270,8 +190,19 @@ module.exports = {
         required: false,
         helpText: 'Filter entities by timeframe end date (YYYY-MM-DD).',
       },
+
+      // Pagination
+      {
+        key: 'maxPages',
+        label: 'Max Pages',
+        type: 'integer',
+        required: false,
+        default: String(DEFAULT_MAX_PAGES),
+        helpText:
+          'Maximum number of result pages to fetch from Productboard (up to 50). Increase for large workspaces.',
+      },
     ],
     sample,
-    outputFields: entityOutputFields,
+    outputFields: [...entityOutputFields, customFieldOutputFields],
   },
 };
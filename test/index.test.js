@@ -16,15 +16,173 @@ const getBundle = (inputData = {}) => ({
 });
 
 describe('Authentication', () => {
-  it('should have custom auth type', () => {
-    expect(App.authentication.type).toBe('custom');
+  const http = require('http');
+  const { oauth2Config } = App.authentication;
+
+  let server;
+  let tokenRequests;
+  const env = {};
+
+  // Stand-in OAuth server: issues tokens for one code and one refresh token
+  beforeAll((done) => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', (chunk) => { body += chunk; });
+      req.on('end', () => {
+        const form = Object.fromEntries(new URLSearchParams(body));
+        tokenRequests.push({ url: req.url, form });
+
+        let status = 200;
+        let data;
+        if (form.client_secret !== 'secret') {
+          status = 401;
+          data = { error: 'invalid_client' };
+        } else if (form.grant_type === 'authorization_code' && form.code === 'good_code') {
+          data = { access_token: 'access_1', refresh_token: 'refresh_1', token_type: 'bearer', scope: 'notes:read' };
+        } else if (form.grant_type === 'refresh_token' && form.refresh_token === 'refresh_1') {
+          data = { access_token: 'access_2', token_type: 'bearer' };
+        } else {
+          status = 400;
+          data = { error: 'invalid_grant', error_description: 'Code or refresh token is invalid' };
+        }
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(data));
+      });
+    });
+    server.listen(0, '127.0.0.1', () => {
+      ['PRODUCTBOARD_OAUTH_BASE_URL', 'CLIENT_ID', 'CLIENT_SECRET'].forEach((key) => { env[key] = process.env[key]; });
+      process.env.PRODUCTBOARD_OAUTH_BASE_URL = `http://127.0.0.1:${server.address().port}`;
+      process.env.CLIENT_ID = 'client';
+      process.env.CLIENT_SECRET = 'secret';
+      done();
+    });
+  });
+
+  afterAll((done) => {
+    Object.keys(env).forEach((key) => {
+      if (env[key] === undefined) delete process.env[key];
+      else process.env[key] = env[key];
+    });
+    server.close(done);
+  });
+
+  beforeEach(() => {
+    tokenRequests = [];
+  });
+
+  it('should use OAuth2 with automatic refresh and optional workspace fields', () => {
+    expect(App.authentication.type).toBe('oauth2');
+    expect(oauth2Config.autoRefresh).toBe(true);
+    expect(App.authentication.fields.map((f) => f.key)).toEqual(['workspaceSubdomain', 'boardId']);
+  });
+
+  it('should build the authorize URL with client, state and scopes', () => {
+    const url = new URL(oauth2Config.authorizeUrl({}, { inputData: { state: 's1', redirect_uri: 'https://zapier.com/cb' } }));
+    expect(url.pathname).toBe('/oauth2/authorize');
+    expect(url.searchParams.get('client_id')).toBe('client');
+    expect(url.searchParams.get('state')).toBe('s1');
+    expect(url.searchParams.get('scope')).toContain('product_hierarchy_data:read');
   });
 
-  it('should have apiToken field', () => {
-    const fields = App.authentication.fields;
-    expect(fields).toHaveLength(1);
-    expect(fields[0].key).toBe('apiToken');
-    expect(fields[0].required).toBe(true);
+  it('should exchange the code and refresh the access token', async () => {
+    const tokens = await appTester(oauth2Config.getAccessToken, {
+      authData: {},
+      inputData: { code: 'good_code', redirect_uri: 'https://zapier.com/cb' },
+    });
+    expect(tokens).toEqual({ access_token: 'access_1', refresh_token: 'refresh_1', scope: 'notes:read' });
+    expect(tokenRequests[0]).toMatchObject({
+      url: '/oauth2/token',
+      form: { grant_type: 'authorization_code', code: 'good_code', client_id: 'client' },
+    });
+
+    // The stand-in doesn't rotate refresh tokens or repeat scopes, so the current ones are kept
+    const refreshed = await appTester(oauth2Config.refreshAccessToken, { authData: tokens, inputData: {} });
+    expect(refreshed).toEqual({ access_token: 'access_2', refresh_token: 'refresh_1', scope: 'notes:read' });
+  });
+
+  it('should surface token endpoint errors', async () => {
+    await expect(
+      appTester(oauth2Config.getAccessToken, { authData: {}, inputData: { code: 'bad_code' } })
+    ).rejects.toThrow('invalid_grant: Code or refresh token is invalid');
+  });
+
+  it('should send the OAuth access token, or the API token for token connections', async () => {
+    const [addAuthHeader] = App.beforeRequest;
+    const oauth = addAuthHeader({ url: 'u' }, {}, { authData: { access_token: 'access_1', apiToken: 'pb_old' } });
+    expect(oauth.headers.Authorization).toBe('Bearer access_1');
+    const token = addAuthHeader({ url: 'u' }, {}, { authData: { apiToken: 'pb_old' } });
+    expect(token.headers.Authorization).toBe('Bearer pb_old');
+  });
+
+  it('should label connections by token owner and workspace', async () => {
+    const z = {
+      console: { log: () => {} },
+      request: async (req) => {
+        if (req.url.endsWith('/members/me')) {
+          return { data: { data: { id: 'm1', fields: { email: 'pm@acme.com', name: 'Pat' } } } };
+        }
+        return { data: { data: [] } };
+      },
+    };
+    const result = await App.authentication.test(z, {
+      authData: { workspaceSubdomain: 'acme', scope: 'product_hierarchy_data:read notes:read' },
+    });
+    expect(result).toMatchObject({ id: 'acme:m1', email: 'pm@acme.com', workspaceSubdomain: 'acme' });
+    expect(result.missingScopes).toContain('notes:create');
+    expect(App.authentication.connectionLabel({}, { inputData: result })).toBe('pm@acme.com (acme)');
+  });
+
+  it('should name the missing scope on 403 responses', () => {
+    const [handleErrors] = App.afterResponse;
+    const z = { errors: { Error } };
+    const response = (method, url) => ({ status: 403, data: {}, request: { method, url }, headers: { get: () => null } });
+    const bundle = { authData: { access_token: 'a', scope: 'notes:read product_hierarchy_data:read' } };
+
+    expect(() => handleErrors(response('POST', 'https://api.productboard.com/v2/notes'), z, bundle))
+      .toThrow('needs the "notes:create" permission');
+    expect(() => handleErrors(response('POST', 'https://api.productboard.com/v2/entities/search'), z, bundle))
+      .toThrow('may not have permission');
+    expect(() => handleErrors(response('DELETE', 'https://api.productboard.com/v2/entities/e1/relationships/link/e2'), z, bundle))
+      .toThrow('"product_hierarchy_data:manage"');
+  });
+
+  it('should not try to refresh API token connections', async () => {
+    await expect(
+      appTester(oauth2Config.refreshAccessToken, { authData: { apiToken: 'pb_old' }, inputData: {} })
+    ).rejects.toThrow('check your Productboard API token');
+    expect(tokenRequests).toHaveLength(0);
+  });
+});
+
+describe('Entity URLs', () => {
+  const { getEntityUrl, getWorkspaceSettings, formatEntity } = require('../lib/utils');
+
+  it('should build links from the workspace subdomain and board', () => {
+    const authData = { workspaceSubdomain: 'acme', boardId: '42' };
+    expect(getEntityUrl('feature', 'f1', authData)).toBe(
+      'https://acme.productboard.com/feature-board/42/detail/feature/f1'
+    );
+    expect(getEntityUrl('feature', 'f1', { workspaceSubdomain: 'acme' })).toBe(
+      'https://acme.productboard.com/detail/feature/f1'
+    );
+  });
+
+  it('should accept a pasted workspace URL', () => {
+    expect(getWorkspaceSettings({ workspaceSubdomain: 'https://Acme.productboard.com/feature-board/777/detail' }))
+      .toEqual({ subdomain: 'acme', boardId: '777' });
+  });
+
+  it('should fall back to the API web link, never another workspace', () => {
+    const entity = { id: 'f1', type: 'feature', links: { html: 'https://other.productboard.com/x/f1' } };
+    expect(formatEntity(entity, {}).url).toBe('https://other.productboard.com/x/f1');
+    expect(formatEntity({ id: 'f1', type: 'feature' }, {}).url).toBe('');
+  });
+
+  it('should take the subdomain for board links from the entity web link', () => {
+    const entity = { id: 'f1', type: 'feature', links: { html: 'https://acme.productboard.com/entity-detail/f1' } };
+    expect(formatEntity(entity, { boardId: '42' }).url).toBe(
+      'https://acme.productboard.com/feature-board/42/detail/feature/f1'
+    );
   });
 });
 
@@ -112,6 +270,1184 @@ describe('Create Health Update Action', () => {
     expect(modes).toContain('manual');
     expect(modes).toContain('calculated');
   });
+
+  // Entity with the given current health; PATCHes are recorded and applied
+  const createZ = (health) => {
+    const z = {
+      patches: [],
+      request: async (req) => {
+        if (req.method === 'PATCH') {
+          z.patches.push(req.body.data.fields.health);
+          health = req.body.data.fields.health;
+          return { data: {} };
+        }
+        return { data: { data: { id: 'e1', type: 'feature', fields: { name: 'E1', health } } } };
+      },
+    };
+    return z;
+  };
+
+  it('should skip the update when status and comment text are unchanged', async () => {
+    const z = createZ({ status: 'atRisk', comment: '<p>Waiting on  legal</p>' });
+    const result = await create.operation.perform(
+      z,
+      getBundle({ entityId: 'e1', status: 'atRisk', comment: 'Waiting on legal', onlyIfChanged: true })
+    );
+    expect(result.changed).toBe(false);
+    expect(z.patches).toHaveLength(0);
+
+    const changed = await create.operation.perform(
+      z,
+      getBundle({ entityId: 'e1', status: 'offTrack', comment: 'Waiting on legal', onlyIfChanged: 'true' })
+    );
+    expect(changed).toMatchObject({ changed: true, health: { status: 'offTrack' } });
+    expect(z.patches).toHaveLength(1);
+  });
+
+  it('should append to or keep the current comment', async () => {
+    const z = createZ({ status: 'atRisk', comment: '<p>Week 1: blocked</p>' });
+    await create.operation.perform(z, getBundle({ entityId: 'e1', status: 'atRisk', comment: 'Week 2: unblocked', commentMode: 'append' }));
+    expect(z.patches[0].comment).toBe('<p>Week 1: blocked</p><p>Week 2: unblocked</p>');
+
+    await create.operation.perform(z, getBundle({ entityId: 'e1', status: 'onTrack', commentMode: 'keep' }));
+    expect(z.patches[1]).toMatchObject({ status: 'onTrack', comment: '<p>Week 1: blocked</p><p>Week 2: unblocked</p>' });
+  });
+
+  it('should not append the same comment again on a re-run', async () => {
+    const z = createZ({ status: 'atRisk', comment: '<p>Week 1</p>' });
+    const bundle = getBundle({ entityId: 'e1', status: 'atRisk', comment: 'Week 2', commentMode: 'append', onlyIfChanged: 'true' });
+
+    const first = await create.operation.perform(z, bundle);
+    const rerun = await create.operation.perform(z, bundle);
+
+    expect(first.changed).toBe(true);
+    expect(rerun.changed).toBe(false);
+    expect(z.patches).toEqual([expect.objectContaining({ comment: '<p>Week 1</p><p>Week 2</p>' })]);
+  });
+});
+
+describe('Create Entity Action', () => {
+  const create = App.creates.createEntity;
+
+  it('should have correct key and noun', () => {
+    expect(create.key).toBe('createEntity');
+    expect(create.noun).toBe('Entity');
+  });
+
+  it('should require entityType and name', () => {
+    const required = create.operation.inputFields.filter(f => f.required).map(f => f.key);
+    expect(required).toEqual(['entityType', 'name']);
+  });
+
+  it('should share entity type choices with Find Entities', () => {
+    const typeField = create.operation.inputFields.find(f => f.key === 'entityType');
+    const searchTypeField = App.searches.listEntities.operation.inputFields.find(f => f.key === 'entityType');
+    expect(typeField.choices).toBe(searchTypeField.choices);
+  });
+
+  it('should return the new ID when reading it back keeps failing', async () => {
+    const posts = [];
+    const z = {
+      request: async (req) => {
+        if (req.method === 'POST') {
+          posts.push(req);
+          return { data: { data: { id: 'ent_new', links: { html: 'https://acme.productboard.com/e/ent_new' } } } };
+        }
+        // What handleErrors raises for a 503, without a wait
+        const error = new Error('Productboard is temporarily unavailable (503).');
+        error.name = 'ThrottledError';
+        error.status = 503;
+        error.retryAfterMs = 0;
+        throw error;
+      },
+    };
+
+    const result = await create.operation.perform(z, getBundle({ entityType: 'feature', name: 'Bulk Export' }));
+
+    expect(posts).toHaveLength(1);
+    expect(result).toMatchObject({
+      id: 'ent_new',
+      name: 'Bulk Export',
+      url: 'https://acme.productboard.com/e/ent_new',
+      fetchError: 'Productboard is temporarily unavailable (503).',
+    });
+  });
+});
+
+describe('Update Entity Action', () => {
+  const update = App.creates.updateEntity;
+
+  // Records PATCH bodies and answers the follow-up GET with a bare entity
+  const createZ = () => {
+    const requests = [];
+    return {
+      requests,
+      request: async (req) => {
+        requests.push(req);
+        return { data: { data: { id: 'ent_1', type: 'feature', fields: {} } } };
+      },
+    };
+  };
+
+  it('should have correct key and noun', () => {
+    expect(update.key).toBe('updateEntity');
+    expect(update.noun).toBe('Entity');
+  });
+
+  it('should pick statuses by name, which is unambiguous across entity types', () => {
+    const statusField = update.operation.inputFields.find(f => f.key === 'status');
+    expect(statusField.dynamic).toBe('statusList.name.name');
+  });
+
+  it('should omit blank fields and null out cleared ones', async () => {
+    const z = createZ();
+    await update.operation.perform(z, getBundle({
+      entityId: 'ent_1',
+      name: 'Renamed',
+      description: '',
+      status: 'In Progress',
+      startDate: '2025-01-01T00:00:00-05:00',
+      clearFields: ['owner', 'endDate'],
+    }));
+
+    expect(z.requests[0].method).toBe('PATCH');
+    expect(z.requests[0].body.data.fields).toEqual({
+      name: 'Renamed',
+      status: { name: 'In Progress' },
+      owner: null,
+      timeframe: { startDate: '2025-01-01', endDate: null },
+    });
+  });
+
+  it('should send status by ID when given a UUID', async () => {
+    const z = createZ();
+    await update.operation.perform(z, getBundle({
+      entityId: 'ent_1',
+      status: '7e8581c9-900d-40f5-bf91-5d5cb790a53d',
+      archived: 'false',
+    }));
+
+    expect(z.requests[0].body.data.fields).toEqual({
+      status: { id: '7e8581c9-900d-40f5-bf91-5d5cb790a53d' },
+      archived: false,
+    });
+  });
+
+  it('should refuse an empty update', async () => {
+    await expect(appTester(update.operation.perform, getBundle({ entityId: 'ent_1' })))
+      .rejects.toThrow('Nothing to update');
+  });
+});
+
+describe('Custom Fields', () => {
+  const { customFieldOutputFields, customFieldInputFields, buildCustomFieldValues } = require('../lib/configurations');
+  const { formatEntity } = require('../lib/utils');
+
+  const EFFORT_ID = '11111111-1111-4111-8111-111111111111';
+  const TEAMS_ID = '22222222-2222-4222-8222-222222222222';
+
+  const configurations = {
+    data: [
+      {
+        type: 'feature',
+        fields: {
+          name: { id: 'name', name: 'Name', schema: 'TextFieldValue' },
+          [EFFORT_ID]: { id: EFFORT_ID, name: 'Effort', schema: 'NumberFieldValue' },
+          [TEAMS_ID]: {
+            id: TEAMS_ID,
+            name: 'Teams',
+            schema: 'MultiSelectFieldValue',
+            values: [{ id: 't1', name: 'Core' }, { id: 't2', name: 'Growth' }],
+          },
+        },
+      },
+      { type: 'objective', fields: {} },
+    ],
+  };
+
+  const z = { request: async () => ({ data: configurations }) };
+
+  it('should label custom output fields by name', async () => {
+    const fields = await customFieldOutputFields(z, getBundle({ entityType: 'feature' }));
+    expect(fields).toEqual([
+      { key: `customFields__${EFFORT_ID}`, label: 'Effort', type: 'number' },
+      { key: `customFields__${TEAMS_ID}`, label: 'Teams', type: 'string' },
+    ]);
+  });
+
+  it('should build typed custom inputs for the selected entity type', async () => {
+    expect(await customFieldInputFields(z, getBundle({}))).toEqual([]);
+
+    const fields = await customFieldInputFields(z, getBundle({ entityType: 'feature' }));
+    const teams = fields.find(f => f.label === 'Teams');
+    expect(fields.find(f => f.label === 'Effort').type).toBe('number');
+    expect(teams.list).toBe(true);
+    expect(teams.choices.map(c => c.value)).toEqual(['Core', 'Growth']);
+  });
+
+  it('should convert custom inputs to API values', async () => {
+    const values = await buildCustomFieldValues(z, 'feature', {
+      name: 'ignored',
+      [`custom__${EFFORT_ID}`]: '5',
+      [`custom__${TEAMS_ID}`]: 'Core, Growth',
+    });
+    expect(values).toEqual({
+      [EFFORT_ID]: 5,
+      [TEAMS_ID]: [{ name: 'Core' }, { name: 'Growth' }],
+    });
+  });
+
+  it('should flatten custom field values when formatting entities', () => {
+    const entity = formatEntity({
+      id: 'f1',
+      type: 'feature',
+      fields: { [EFFORT_ID]: 3, [TEAMS_ID]: [{ id: 't1', name: 'Core' }, { id: 't2', name: 'Growth' }] },
+    });
+    expect(entity.customFields).toEqual({ [EFFORT_ID]: 3, [TEAMS_ID]: 'Core, Growth' });
+  });
+});
+
+describe('Dynamic Dropdowns', () => {
+  const allInputFields = () =>
+    [App.triggers, App.searches, App.creates]
+      .flatMap(group => Object.values(group))
+      .flatMap(definition => definition.operation.inputFields || [])
+      .filter(field => typeof field === 'object');
+
+  it('should point every dynamic field at a hidden trigger', () => {
+    const dynamicFields = allInputFields().filter(f => f.dynamic);
+    expect(dynamicFields.length).toBeGreaterThan(0);
+
+    dynamicFields.forEach((field) => {
+      const trigger = App.triggers[field.dynamic.split('.')[0]];
+      expect(trigger).toBeDefined();
+      expect(trigger.display.hidden).toBe(true);
+    });
+  });
+
+  it('should point every search fallback at an existing search', () => {
+    allInputFields().filter(f => f.search).forEach((field) => {
+      expect(App.searches[field.search.split('.')[0]]).toBeDefined();
+    });
+  });
+
+  it('should list only allowed parent types for the selected entity type', async () => {
+    const requestedTypes = [];
+    const z = {
+      request: async (req) => {
+        requestedTypes.push(req.params.type);
+        return { data: { data: [{ id: `${req.params.type}_1`, type: req.params.type, fields: { name: 'X' } }] } };
+      },
+    };
+
+    const results = await App.triggers.parentEntityList.operation.perform(z, getBundle({ entityType: 'feature' }));
+
+    expect(requestedTypes).toEqual(['product', 'component']);
+    expect(results.map(r => r.name)).toEqual(['X (Product)', 'X (Component)']);
+  });
+});
+
+describe('Health Updates Trigger', () => {
+  const trigger = App.triggers.healthUpdates;
+  const { getHealthTrend } = require('../lib/utils');
+
+  const recently = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+  const entity = (id, previousStatus, status, lastUpdatedAt = recently) => ({
+    id,
+    type: 'feature',
+    fields: { name: id, health: { id: `health_${id}`, previousStatus, status, lastUpdatedAt } },
+  });
+
+  // Entities without a history listing 404 (falling back to their current health), as
+  // do all requests for `deleted` entities; a history given as an array of pages is
+  // served one page per request
+  const createZ = (entities, histories = {}, deleted = []) => {
+    const z = {
+      requests: [],
+      logs: [],
+      store: {},
+      console: { log: (message) => z.logs.push(message) },
+      cache: {
+        get: async (key) => z.store[key],
+        set: async (key, value) => { z.store[key] = value; },
+      },
+      request: async (req) => {
+        z.requests.push(req);
+        const match = req.url.match(/entities\/([^/?]+)\/health-updates(?:\?page=(\d+))?/);
+        const entityId = req.url.match(/entities\/([^/?]+)$/)?.[1];
+        if (deleted.includes(match?.[1] || entityId)) {
+          const error = new Error('Resource not found.');
+          error.status = 404;
+          throw error;
+        }
+        if (entityId) return { data: { data: entities.find((e) => e.id === entityId) } };
+        if (!match) return { data: { data: entities } };
+        if (!histories[match[1]]) {
+          const error = new Error('Resource not found.');
+          error.status = 404;
+          throw error;
+        }
+        const pages = Array.isArray(histories[match[1]][0]) ? histories[match[1]] : [histories[match[1]]];
+        const page = Number(match[2] || 0);
+        const next = page + 1 < pages.length ? `${req.url.split('?')[0]}?page=${page + 1}` : null;
+        return { data: { data: pages[page], links: { next } } };
+      },
+    };
+    return z;
+  };
+
+  const z = createZ([
+    entity('a', 'onTrack', 'atRisk'),
+    entity('b', 'atRisk', 'offTrack'),
+    entity('c', 'offTrack', 'onTrack'),
+  ]);
+
+  it('should classify transitions by health status order', () => {
+    expect(getHealthTrend('onTrack', 'atRisk')).toBe('worsening');
+    expect(getHealthTrend('offTrack', 'onTrack')).toBe('improving');
+    expect(getHealthTrend('atRisk', 'atRisk')).toBe('unchanged');
+    expect(getHealthTrend('notSet', 'offTrack')).toBe('none');
+    expect(getHealthTrend('', 'onTrack')).toBe('none');
+  });
+
+  it('should filter by from and to status', async () => {
+    const intoOffTrack = await trigger.operation.perform(z, getBundle({ toStatuses: ['offTrack'] }));
+    expect(intoOffTrack.map(r => r.entityId)).toEqual(['b']);
+
+    const fromOnTrack = await trigger.operation.perform(z, getBundle({ fromStatuses: ['onTrack'], toStatuses: ['atRisk'] }));
+    expect(fromOnTrack.map(r => r.entityId)).toEqual(['a']);
+    expect(fromOnTrack[0].healthTrend).toBe('worsening');
+  });
+
+  it('should return everything without filters', async () => {
+    const results = await trigger.operation.perform(z, getBundle({}));
+    expect(results).toHaveLength(3);
+  });
+
+  it('should emit one event per health update in the history', async () => {
+    const hoursAgo = (hours) => new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+    // Newest first, one update per page; the last page is past the window and never fetched
+    const historyZ = createZ([entity('a', 'atRisk', 'offTrack')], {
+      a: [
+        [{
+          id: 'hu_2',
+          fields: { status: 'offTrack', comment: '<p>Vendor slipped</p>', createdBy: { id: 'm_2', email: 'lead@example.com' } },
+          createdAt: hoursAgo(1),
+        }],
+        [{ id: 'hu_1', fields: { status: 'atRisk', previousStatus: 'onTrack', comment: '<p>Blocked</p>' }, createdAt: hoursAgo(5) }],
+        [{ id: 'hu_0', fields: { status: 'onTrack' }, createdAt: hoursAgo(24 * 30) }],
+        [{ id: 'hu_older', fields: { status: 'notSet' }, createdAt: hoursAgo(24 * 60) }],
+      ],
+    });
+
+    const results = await trigger.operation.perform(historyZ, getBundle({ lookbackDays: '7' }));
+
+    const historyRequests = historyZ.requests.filter(req => req.url.includes('/health-updates'));
+    expect(historyRequests).toHaveLength(3);
+    expect(historyRequests[0].params).toEqual({ sort: '-createdAt' });
+    expect(results.map(r => r.id)).toEqual(['hu_2', 'hu_1']);
+    expect(results[0]).toMatchObject({ entityId: 'a', healthTrend: 'worsening', name: 'a', fromHistory: true });
+    expect(results[0].health).toMatchObject({
+      previousStatus: 'atRisk',
+      commentPlainText: 'Vendor slipped',
+      updatedByEmail: 'lead@example.com',
+    });
+    expect(results[1].health.previousStatus).toBe('onTrack');
+  });
+
+  it('should skip entities whose health changed before the lookback window', async () => {
+    const oldZ = createZ([entity('a', 'onTrack', 'atRisk', '2020-01-01T00:00:00Z')]);
+
+    const results = await trigger.operation.perform(oldZ, getBundle({}));
+
+    expect(results).toEqual([]);
+    expect(oldZ.requests.some(req => req.url.includes('/health-updates'))).toBe(false);
+  });
+
+  it('should fall back to current health and stop asking once history 404s', async () => {
+    const fallbackZ = createZ([entity('a', 'onTrack', 'atRisk'), entity('b', 'atRisk', 'offTrack')]);
+    const countHistoryRequests = () => fallbackZ.requests.filter(req => req.url.includes('/health-updates')).length;
+
+    const first = await trigger.operation.perform(fallbackZ, getBundle({}));
+    expect(first.map(r => r.id).sort()).toEqual(['health_a', 'health_b']);
+    expect(first[0].fromHistory).toBe(false);
+    expect(fallbackZ.logs[0]).toContain('Health history is unavailable');
+    const afterFirstPoll = countHistoryRequests();
+
+    const second = await trigger.operation.perform(fallbackZ, getBundle({}));
+    expect(second).toHaveLength(2);
+    expect(countHistoryRequests()).toBe(afterFirstPoll);
+    expect(Object.keys(fallbackZ.store)).toEqual(['healthHistory:unavailable:test']);
+  });
+
+  it('should skip an entity deleted since listing without turning history off', async () => {
+    const hoursAgo = (hours) => new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+    const deletedZ = createZ(
+      [entity('gone', 'onTrack', 'atRisk'), entity('a', 'onTrack', 'atRisk')],
+      { a: [{ id: 'hu_a', fields: { status: 'atRisk', previousStatus: 'onTrack' }, createdAt: hoursAgo(1) }] },
+      ['gone']
+    );
+
+    const results = await trigger.operation.perform(deletedZ, getBundle({}));
+
+    expect(results.map(r => r.id)).toEqual(['hu_a']);
+    expect(results[0].fromHistory).toBe(true);
+    expect(deletedZ.store).toEqual({});
+    expect(deletedZ.logs).toEqual([]);
+  });
+});
+
+describe('New Entity Trigger', () => {
+  const trigger = App.triggers.newEntity;
+
+  it('should be a polling trigger', () => {
+    expect(trigger.key).toBe('newEntity');
+    expect(trigger.operation.type).toBe('polling');
+  });
+
+  it('should search with the filters and return newest first', async () => {
+    const requests = [];
+    const z = {
+      request: async (req) => {
+        requests.push(req);
+        return {
+          data: {
+            data: [
+              { id: 'old', type: 'feature', createdAt: '2025-01-01T00:00:00Z', fields: {} },
+              { id: 'new', type: 'feature', createdAt: '2025-06-01T00:00:00Z', fields: {} },
+            ],
+          },
+        };
+      },
+    };
+
+    const results = await trigger.operation.perform(z, getBundle({ entityType: 'feature', productId: 'prod_1' }));
+
+    expect(requests[0].method).toBe('POST');
+    expect(requests[0].body.data).toMatchObject({ type: 'feature', product: { id: 'prod_1' }, archived: false });
+    expect(results.map(r => r.id)).toEqual(['new', 'old']);
+  });
+
+  it('should log when Max Pages cuts the scan short', async () => {
+    const logs = [];
+    const z = {
+      console: { log: (message) => logs.push(message) },
+      request: async () => ({ data: { data: [{ id: 'e1', type: 'feature', fields: {} }], links: { next: '/v2/entities/search?pageCursor=x' } } }),
+    };
+
+    const results = await trigger.operation.perform(z, getBundle({ maxPages: '1' }));
+
+    expect(results).toHaveLength(1);
+    expect(logs[0]).toContain('stopped at Max Pages');
+  });
+});
+
+describe('Updated Entity Trigger', () => {
+  const trigger = App.triggers.updatedEntity;
+
+  // Fake z with an in-memory cache standing in for z.cache
+  const createZ = (entities, store = {}) => ({
+    store,
+    console: { log: () => {} },
+    cache: {
+      get: async (key) => store[key] || null,
+      set: async (key, value) => { store[key] = value; },
+    },
+    request: async () => ({ data: { data: entities() } }),
+  });
+
+  const feature = (status, updatedAt, name = 'Feature A') => ({
+    id: 'ent_1',
+    type: 'feature',
+    updatedAt,
+    fields: { name, status: { name: status } },
+  });
+
+  it('should dedupe on entity ID plus updatedAt', async () => {
+    const z = createZ(() => [feature('Planned', '2025-01-01T00:00:00Z')]);
+    const [result] = await trigger.operation.perform(z, getBundle({}));
+    expect(result.id).toBe('ent_1_2025-01-01T00:00:00Z');
+    expect(result.entityId).toBe('ent_1');
+  });
+
+  it('should report changed fields and previous values from the stored snapshot', async () => {
+    let current = feature('Planned', '2025-01-01T00:00:00Z');
+    const z = createZ(() => [current]);
+    const bundle = { ...getBundle({ watchedFields: ['status'] }), meta: { zap: { id: 99 } } };
+
+    expect(await trigger.operation.perform(z, bundle)).toEqual([]);
+
+    current = feature('Planned', '2025-01-02T00:00:00Z', 'Renamed');
+    expect(await trigger.operation.perform(z, bundle)).toEqual([]);
+
+    current = feature('In Progress', '2025-01-03T00:00:00Z', 'Renamed');
+    const [result] = await trigger.operation.perform(z, bundle);
+    expect(result.changedFields).toEqual(['status']);
+    expect(result.previous.status).toBe('Planned');
+  });
+
+  it('should snapshot a hash of the description and keep only entities seen this poll', async () => {
+    const described = (description, updatedAt) => ({
+      ...feature('Planned', updatedAt),
+      fields: { name: 'Feature A', status: { name: 'Planned' }, description },
+    });
+    const other = { ...feature('Planned', '2025-01-01T00:00:00Z', 'Feature B'), id: 'ent_2' };
+    const store = {};
+    let current = [described(`<p>${'Long spec. '.repeat(500)}</p>`, '2025-01-01T00:00:00Z'), other];
+    const z = createZ(() => current, store);
+    await trigger.operation.perform(z, getBundle({}));
+
+    const snapshots = store['updatedEntity:snapshots:test'];
+    expect(Object.keys(snapshots)).toEqual(['ent_1', 'ent_2']);
+    expect(snapshots.ent_1.description).toBeUndefined();
+    expect(snapshots.ent_1.descriptionHash).toHaveLength(40);
+
+    // ent_2 was deleted, so its snapshot is dropped
+    current = [described('<p>Short spec</p>', '2025-01-02T00:00:00Z')];
+    const [changed] = await trigger.operation.perform(z, getBundle({}));
+    expect(changed.changedFields).toEqual(['description']);
+    expect(Object.keys(store['updatedEntity:snapshots:test'])).toEqual(['ent_1']);
+  });
+});
+
+describe('Create Note Action', () => {
+  const create = App.creates.createNote;
+
+  it('should have correct key and noun', () => {
+    expect(create.key).toBe('createNote');
+    expect(create.noun).toBe('Note');
+  });
+
+  it('should create the note, attribute the customer and link features', async () => {
+    const requests = [];
+    const z = {
+      request: async (req) => {
+        requests.push(req);
+        return { data: { data: { id: 'note_1', fields: { name: 'Title' } } } };
+      },
+    };
+
+    const result = await create.operation.perform(z, getBundle({
+      title: 'Title',
+      content: 'Plain feedback',
+      companyDomain: 'acme.com',
+      tags: ['export'],
+      featureIds: ['feat_1', 'feat_2'],
+    }));
+
+    expect(requests[0].body.data).toEqual({
+      type: 'simple',
+      fields: { name: 'Title', content: '<p>Plain feedback</p>', tags: [{ name: 'export' }] },
+      relationships: [{ type: 'customer', target: { type: 'company', domain: 'acme.com' } }],
+    });
+    expect(requests[1].url).toBe('https://api.productboard.com/v2/notes/note_1/relationships');
+    expect(requests[2].body.data.target).toEqual({ id: 'feat_2', type: 'link' });
+    expect(result.linkedEntityIds).toEqual(['feat_1', 'feat_2']);
+    expect(result.linkErrors).toEqual([]);
+  });
+
+  it('should report failed feature links without failing the created note', async () => {
+    const z = {
+      request: async (req) => {
+        if (req.method === 'POST' && req.body.data.target?.id === 'feat_bad') {
+          const error = new Error('Resource not found. The entity ID may be incorrect.');
+          error.status = 404;
+          throw error;
+        }
+        return { data: { data: { id: 'note_1', fields: { name: 'Title' } } } };
+      },
+    };
+
+    const result = await create.operation.perform(z, getBundle({
+      title: 'Title',
+      content: 'Feedback',
+      featureIds: ['feat_bad', 'feat_2'],
+    }));
+
+    expect(result.id).toBe('note_1');
+    expect(result.linkedEntityIds).toEqual(['feat_2']);
+    expect(result.linkErrors).toEqual([{ entityId: 'feat_bad', error: 'Resource not found. The entity ID may be incorrect.' }]);
+  });
+
+  it('should return the new note when reading it back fails', async () => {
+    const posts = [];
+    const z = {
+      request: async (req) => {
+        if (req.method === 'POST') {
+          posts.push(req);
+          return { data: { data: { id: 'note_1' } } };
+        }
+        const error = new Error('Productboard is temporarily unavailable (503).');
+        error.name = 'ThrottledError';
+        error.status = 503;
+        error.retryAfterMs = 0;
+        throw error;
+      },
+    };
+
+    const result = await create.operation.perform(z, getBundle({ title: 'Title', content: 'Feedback' }));
+
+    expect(posts).toHaveLength(1);
+    expect(result).toMatchObject({
+      id: 'note_1',
+      title: 'Title',
+      contentPlainText: 'Feedback',
+      fetchError: 'Productboard is temporarily unavailable (503).',
+    });
+  });
+});
+
+describe('Notes Search and Trigger', () => {
+  const { buildNoteSearchParams } = require('../lib/notes');
+
+  it('should map filters to note query params', () => {
+    expect(buildNoteSearchParams({
+      term: 'export',
+      tags: ['csv', ' reporting '],
+      ownerEmail: 'pm@example.com',
+      featureId: 'feat_1',
+      createdFrom: '2025-01-01T00:00:00Z',
+    })).toEqual({
+      term: 'export',
+      allTags: 'csv,reporting',
+      ownerEmail: 'pm@example.com',
+      featureId: 'feat_1',
+      createdFrom: '2025-01-01',
+    });
+    expect(buildNoteSearchParams({})).toEqual({});
+  });
+
+  it('should return new notes newest first', async () => {
+    const z = {
+      request: async () => ({
+        data: {
+          data: [
+            { id: 'n1', createdAt: '2025-01-01T00:00:00Z', fields: { tags: [{ name: 'csv' }] } },
+            { id: 'n2', createdAt: '2025-02-01T00:00:00Z', fields: {} },
+          ],
+        },
+      }),
+    };
+
+    const results = await App.triggers.newNote.operation.perform(z, getBundle({}));
+    expect(results.map(r => r.id)).toEqual(['n2', 'n1']);
+    expect(results[1].tags).toEqual(['csv']);
+  });
+
+  it('should only list recent notes and log when Max Pages cuts the scan short', async () => {
+    const logs = [];
+    const requests = [];
+    const z = {
+      console: { log: (message) => logs.push(message) },
+      request: async (req) => {
+        requests.push(req);
+        return { data: { data: [{ id: 'n1', createdAt: '2025-01-01T00:00:00Z', fields: {} }], links: { next: '/v2/notes?pageCursor=x' } } };
+      },
+    };
+
+    const results = await App.triggers.newNote.operation.perform(z, getBundle({ maxPages: '1' }));
+
+    expect(results).toHaveLength(1);
+    expect(requests[0].params.createdFrom).toMatch(/^\d{4}-\d{2}-\d{2}$/);
+    expect(new Date(requests[0].params.createdFrom).getTime()).toBeGreaterThan(Date.now() - 4 * 24 * 60 * 60 * 1000);
+    expect(logs[0]).toContain('stopped at Max Pages');
+  });
+});
+
+describe('Note Relationships', () => {
+  it('should return the customer and product links for a note', async () => {
+    const z = {
+      request: async () => ({
+        data: {
+          data: [
+            { type: 'customer', target: { id: 'company_1', type: 'company' } },
+            { type: 'link', target: { id: 'feat_1', type: 'feature', links: { self: 'https://api.productboard.com/v2/entities/feat_1' } } },
+          ],
+        },
+      }),
+    };
+
+    const results = await App.searches.getNoteRelationships.operation.perform(z, getBundle({ noteId: 'note_1' }));
+
+    expect(results.map(r => r.relationshipType)).toEqual(['customer', 'link']);
+    expect(results[1]).toMatchObject({ id: 'note_1_feat_1', relatedEntityType: 'feature' });
+  });
+
+  it('should DELETE the link relationship', async () => {
+    const requests = [];
+    const z = { request: async (req) => { requests.push(req); return { data: undefined }; } };
+
+    const result = await App.creates.removeNoteRelationship.operation.perform(
+      z,
+      getBundle({ noteId: 'note_1', targetEntityId: 'feat_1' })
+    );
+
+    expect(requests[0]).toMatchObject({
+      method: 'DELETE',
+      url: 'https://api.productboard.com/v2/notes/note_1/relationships/link/feat_1',
+    });
+    expect(result.success).toBe(true);
+  });
+});
+
+describe('Entity Relationship Actions', () => {
+  const { validateParent, validateLink } = require('../lib/relationships');
+
+  // Serves entity lookups by ID and records relationship writes
+  const createZ = (types) => {
+    const requests = [];
+    return {
+      requests,
+      request: async (req) => {
+        requests.push(req);
+        const match = req.url.match(/entities\/([^/]+)$/);
+        if (match) {
+          return { data: { data: { id: match[1], type: types[match[1]] } } };
+        }
+        return { data: { data: [{ type: 'parent', target: { id: 'comp_1', type: 'component' } }] } };
+      },
+    };
+  };
+
+  it('should validate parent and link type pairs', () => {
+    expect(validateParent('feature', 'component')).toBeNull();
+    expect(validateParent('subfeature', 'product')).toMatch('can only be placed under: Feature');
+    expect(validateParent('product', 'component')).toMatch('cannot have a parent');
+    expect(validateLink('objective', 'keyResult')).toBeNull();
+    expect(validateLink('initiative', 'feature')).toBeNull();
+    expect(validateLink('product', 'release')).toMatch('cannot be linked');
+  });
+
+  it('should set a valid parent and return the updated relationships', async () => {
+    const z = createZ({ feat_1: 'feature', comp_1: 'component' });
+
+    const result = await App.creates.setEntityParent.operation.perform(
+      z,
+      getBundle({ entityId: 'feat_1', parentId: 'comp_1' })
+    );
+
+    const write = z.requests.find(r => r.method === 'POST');
+    expect(write.body.data).toEqual({ type: 'parent', target: { id: 'comp_1' } });
+    expect(result.relationships[0].relatedEntityId).toBe('comp_1');
+  });
+
+  it('should reject an invalid link before writing', async () => {
+    const z = createZ({ prod_1: 'product', rel_1: 'release' });
+    z.errors = { Error: Error };
+
+    await expect(App.creates.createEntityLink.operation.perform(
+      z,
+      getBundle({ entityId: 'prod_1', targetEntityId: 'rel_1' })
+    )).rejects.toThrow('cannot be linked');
+    expect(z.requests.some(r => r.method === 'POST')).toBe(false);
+  });
+});
+
+describe('Hydrated Entity Relationships', () => {
+  const search = App.searches.getEntityRelationships;
+
+  // Relationship list plus per-entity lookups, tracking peak parallel requests
+  const createZ = () => {
+    let inFlight = 0;
+    const z = {
+      peak: 0,
+      request: async (req) => {
+        if (req.url.endsWith('/relationships')) {
+          const data = Array.from({ length: 12 }, (_, i) => ({ type: 'child', target: { id: `e${i}`, type: 'feature' } }));
+          return { data: { data } };
+        }
+        inFlight += 1;
+        z.peak = Math.max(z.peak, inFlight);
+        await new Promise((resolve) => setTimeout(resolve, 5));
+        inFlight -= 1;
+        const id = req.url.split('/').pop();
+        return { data: { data: { id, type: 'feature', fields: { name: `Name ${id}` } } } };
+      },
+    };
+    return z;
+  };
+
+  it('should not fetch related entities by default', async () => {
+    const z = createZ();
+    const results = await search.operation.perform(z, getBundle({ entityId: 'root' }));
+    expect(results[0].relatedEntity).toBeUndefined();
+    expect(z.peak).toBe(0);
+  });
+
+  it('should hydrate eagerly with bounded concurrency', async () => {
+    const z = createZ();
+    const results = await search.operation.perform(z, getBundle({ entityId: 'root', hydrate: 'eager' }));
+    expect(results).toHaveLength(12);
+    expect(results[3].relatedEntity.name).toBe('Name e3');
+    expect(z.peak).toBeLessThanOrEqual(5);
+  });
+
+  it('should dehydrate related entities on demand', async () => {
+    const z = { ...createZ(), dehydrate: (func, inputData) => ({ func, inputData }) };
+    const results = await search.operation.perform(z, getBundle({ entityId: 'root', hydrate: 'lazy' }));
+    expect(results[0].relatedEntity).toEqual({ func: App.hydrators.entity, inputData: { entityId: 'e0' } });
+    expect(z.peak).toBe(0);
+  });
+});
+
+describe('Entity Hierarchy Search', () => {
+  const search = App.searches.getEntityHierarchy;
+
+  // product -> component -> feature -> subfeature, plus a cycle back to the product
+  const TREE = {
+    p1: { type: 'product', name: 'Mobile App', children: ['c1'], parent: null },
+    c1: { type: 'component', name: 'Settings', children: ['f1', 'f2'], parent: 'p1' },
+    f1: { type: 'feature', name: 'Dark Mode', children: ['s1', 'p1'], parent: 'c1' },
+    f2: { type: 'feature', name: 'Font Size', children: [], parent: 'c1' },
+    s1: { type: 'subfeature', name: 'Auto Switch', children: [], parent: 'f1' },
+  };
+
+  const createZ = () => ({
+    console: { log: () => {} },
+    request: async (req) => {
+      const [, id, rest] = req.url.match(/entities\/([^/]+)(\/relationships)?$/);
+      const node = TREE[id];
+      if (rest) {
+        const data = node.children.map((child) => ({ type: 'child', target: { id: child } }));
+        if (node.parent) data.push({ type: 'parent', target: { id: node.parent } });
+        return { data: { data } };
+      }
+      return { data: { data: { id, type: node.type, fields: { name: node.name } } } };
+    },
+  });
+
+  it('should have correct key and noun', () => {
+    expect(search.key).toBe('getEntityHierarchy');
+    expect(search.noun).toBe('Entity');
+  });
+
+  it('should return descendants with depth and breadcrumbs, visiting each entity once', async () => {
+    const results = await search.operation.perform(createZ(), getBundle({ entityId: 'p1', maxDepth: 5 }));
+    expect(results.map((r) => r.id)).toEqual(['c1', 'f1', 'f2', 's1']);
+    expect(results[3]).toMatchObject({
+      depth: 3,
+      path: 'Mobile App > Settings > Dark Mode > Auto Switch',
+      pathIds: ['p1', 'c1', 'f1', 's1'],
+      rootId: 'p1',
+      truncated: false,
+    });
+  });
+
+  it('should list ancestors top-down and filter by type', async () => {
+    const results = await search.operation.perform(
+      createZ(),
+      getBundle({ entityId: 's1', direction: 'ancestors', entityType: 'product' })
+    );
+    expect(results).toHaveLength(1);
+    expect(results[0]).toMatchObject({ id: 'p1', depth: 3, path: 'Mobile App > Settings > Dark Mode > Auto Switch' });
+  });
+
+  it('should stop at max depth and max entities', async () => {
+    const shallow = await search.operation.perform(createZ(), getBundle({ entityId: 'p1', maxDepth: 2 }));
+    expect(shallow.map((r) => r.id)).toEqual(['c1', 'f1', 'f2']);
+
+    const capped = await search.operation.perform(createZ(), getBundle({ entityId: 'p1', maxNodes: 2 }));
+    expect(capped.map((r) => r.id)).toEqual(['c1', 'f1']);
+    expect(capped[0].truncated).toBe(true);
+  });
+});
+
+describe('Health Rollup Search', () => {
+  const search = App.searches.getHealthRollup;
+  const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+  const entity = (id, name, status, updatedDaysAgo, extra = {}) => ({
+    id,
+    type: 'feature',
+    fields: {
+      name,
+      ...(status ? { health: { status, lastUpdatedAt: daysAgo(updatedDaysAgo) } } : {}),
+      ...extra,
+    },
+  });
+
+  it('should count statuses, find the worst and stale ones, and render a summary', async () => {
+    const z = {
+      request: async (req) => {
+        expect(req.body.data).toMatchObject({ type: 'feature', archived: false });
+        return {
+          data: {
+            data: [
+              entity('f1', 'Dark Mode', 'onTrack', 2),
+              entity('f2', 'SSO <Wizard>', 'offTrack', 30),
+              entity('f3', 'Guided Tour', 'atRisk', 1),
+              entity('f4', 'Font Size', null),
+            ],
+          },
+        };
+      },
+    };
+
+    const [report] = await search.operation.perform(z, getBundle({ entityType: 'feature', staleDays: 14 }));
+    expect(report).toMatchObject({
+      total: 4,
+      counts: { onTrack: 1, atRisk: 1, offTrack: 1, notSet: 1 },
+      worstStatus: 'offTrack',
+      // Font Size has never had health, so it is Not Set rather than stale
+      staleCount: 1,
+      offTrackNames: ['SSO <Wizard>'],
+    });
+    expect(report.summaryText).toContain('Stale (no health update in 14 days): 1');
+    expect(report.summaryText).toContain('On Track: 1 | At Risk: 1 | Off Track: 1 | Not Set: 1');
+    expect(report.summaryText).toContain('Off Track:\n- SSO <Wizard>');
+    expect(report.summaryHtml).toContain('<li>SSO &lt;Wizard&gt;</li>');
+  });
+
+  it('should flag a type rollup cut short by Max Pages', async () => {
+    const logs = [];
+    const z = {
+      console: { log: (message) => logs.push(message) },
+      request: async () => ({
+        data: { data: [entity('f1', 'Dark Mode', 'onTrack', 2)], links: { next: '/v2/entities/search?pageCursor=x' } },
+      }),
+    };
+
+    const [report] = await search.operation.perform(z, getBundle({ entityType: 'feature', maxPages: '2' }));
+
+    expect(report).toMatchObject({ total: 2, truncated: true });
+    expect(logs[0]).toContain('stopped at Max Pages');
+  });
+
+  it('should roll up the active descendants of a root entity', async () => {
+    const z = {
+      console: { log: () => {} },
+      request: async (req) => {
+        if (req.url.endsWith('/root/relationships')) {
+          return { data: { data: ['f1', 'f2'].map((id) => ({ type: 'child', target: { id } })) } };
+        }
+        if (req.url.endsWith('/relationships')) return { data: { data: [] } };
+        const id = req.url.split('/').pop();
+        if (id === 'root') return { data: { data: entity('root', 'Onboarding', 'offTrack', 1) } };
+        if (id === 'f1') return { data: { data: entity('f1', 'Tour', 'atRisk', 1) } };
+        return { data: { data: entity('f2', 'Old', 'offTrack', 1, { archived: true }) } };
+      },
+    };
+
+    const [report] = await search.operation.perform(z, getBundle({ rootEntityId: 'root' }));
+    expect(report).toMatchObject({ rootName: 'Onboarding', total: 1, worstStatus: 'atRisk', staleCount: 0 });
+    expect(report.summaryText.split('\n')[0]).toBe('Health rollup for Onboarding (1 entity)');
+  });
+});
+
+describe('Stale Health Trigger', () => {
+  const trigger = App.triggers.staleHealth;
+  const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+  const createZ = (entities) => ({
+    request: async (req) => {
+      expect(req.body.data).toMatchObject({ type: 'feature', owners: [{ email: 'pm@example.com' }], archived: false });
+      return { data: { data: entities } };
+    },
+  });
+
+  it('should fire for stale and unset health with window-based dedupe IDs', async () => {
+    const stale = daysAgo(30);
+    const z = createZ([
+      { id: 'f1', type: 'feature', fields: { name: 'Fresh', status: { name: 'In Progress' }, health: { status: 'onTrack', lastUpdatedAt: daysAgo(3) } } },
+      { id: 'f2', type: 'feature', fields: { name: 'Stale', status: { name: 'In Progress' }, health: { status: 'atRisk', lastUpdatedAt: stale } } },
+      { id: 'f3', type: 'feature', fields: { name: 'Unset', status: { name: 'In Progress' } } },
+      { id: 'f4', type: 'feature', fields: { name: 'Idea', status: { name: 'New idea' } } },
+    ]);
+
+    const results = await trigger.operation.perform(
+      z,
+      getBundle({ entityType: 'feature', ownerEmail: 'pm@example.com', staleDays: 14, activeStatuses: ['In Progress'] })
+    );
+
+    expect(results.map((r) => r.id)).toEqual([`f2_stale_${stale}`, 'f3_notSet_never']);
+    expect(results[0]).toMatchObject({ entityId: 'f2', staleReason: 'stale', daysSinceHealthUpdate: 30 });
+  });
+
+  it('should not fire for missing health without Active Statuses', async () => {
+    const z = createZ([
+      { id: 'f1', type: 'feature', fields: { name: 'Shipped', status: { name: 'Released' } } },
+    ]);
+
+    const results = await trigger.operation.perform(z, getBundle({ entityType: 'feature', ownerEmail: 'pm@example.com' }));
+
+    expect(results).toEqual([]);
+  });
+});
+
+describe('Rich Text', () => {
+  const { toRichText, htmlToPlainText, htmlToMarkdown } = require('../lib/richText');
+
+  it('should convert plain text to escaped paragraphs and line breaks', () => {
+    expect(toRichText('Blocked on A & B\nwaiting on <legal>\n\nNext week', 'plain')).toBe(
+      '<p>Blocked on A &amp; B<br>waiting on &lt;legal&gt;</p><p>Next week</p>'
+    );
+    // Auto-detect keeps the old "HTML if it starts with a tag" behaviour
+    expect(toRichText('Just text')).toBe('<p>Just text</p>');
+  });
+
+  it('should convert Markdown to the allowed HTML subset', () => {
+    const html = toRichText('## Update\n\n**Blocked** on [JIRA-1](https://jira.example.com/JIRA-1)\n\n- one\n- two', 'markdown');
+    expect(html).toBe(
+      '<h2>Update</h2><p><strong>Blocked</strong> on <a href="https://jira.example.com/JIRA-1">JIRA-1</a></p>' +
+      '<ul><li>one</li><li>two</li></ul>'
+    );
+  });
+
+  it('should sanitize HTML input', () => {
+    expect(toRichText('<div class="x" onclick="y()"><b>Hi</b><script>bad()</script> <a href="javascript:z()">link</a> & co</div>', 'html'))
+      .toBe('<p><strong>Hi</strong> link &amp; co</p>');
+  });
+
+  it('should render HTML as plain text and Markdown keeping structure', () => {
+    const html = '<p>Status &amp; plan</p><ul><li>See <a href="https://example.com/doc">the doc</a></li><li><em>Soon</em></li></ul>';
+    expect(htmlToPlainText(html)).toBe('Status & plan\n\n- See the doc (https://example.com/doc)\n- Soon');
+    expect(htmlToMarkdown(html)).toBe('Status & plan\n\n- See [the doc](https://example.com/doc)\n- _Soon_');
+  });
+
+  it('should keep numeric entities that are not valid code points', () => {
+    expect(htmlToPlainText('<p>&#99999999; &#xD800; &#x1F680; &#233;</p>')).toBe('&#99999999; &#xD800; \u{1F680} é');
+  });
+});
+
+describe('Find Entity Search', () => {
+  const search = App.searches.findEntity;
+  const entity = (id, name, createdAt) => ({ id, type: 'feature', createdAt, fields: { name } });
+
+  const createZ = (entities) => ({
+    errors: { Error: class extends Error {} },
+    request: async (req) => {
+      expect(req.body.data).toMatchObject({ type: 'feature', product: { id: 'prod_1' }, archived: false });
+      return { data: { data: entities } };
+    },
+  });
+
+  it('should be paired with Create Entity as a search-or-create', () => {
+    expect(App.searchOrCreates.findEntity).toMatchObject({ search: 'findEntity', create: 'createEntity' });
+  });
+
+  it('should match names case-insensitively or exactly', async () => {
+    const entities = [entity('f1', 'CSV Export', '2025-01-01'), entity('f2', 'CSV Export v2', '2025-01-02')];
+    const bundle = getBundle({ entityType: 'feature', productId: 'prod_1', name: ' csv export ' });
+
+    const results = await search.operation.perform(createZ(entities), bundle);
+    expect(results).toHaveLength(1);
+    expect(results[0]).toMatchObject({ id: 'f1', matchCount: 1 });
+
+    bundle.inputData.matchMode = 'exact';
+    expect(await search.operation.perform(createZ(entities), bundle)).toEqual([]);
+  });
+
+  it('should report ambiguous matches unless told to use the oldest', async () => {
+    const entities = [entity('f2', 'Dark Mode', '2025-03-01'), entity('f1', 'dark mode', '2025-01-01')];
+    const bundle = getBundle({ entityType: 'feature', productId: 'prod_1', name: 'Dark Mode' });
+
+    await expect(search.operation.perform(createZ(entities), bundle)).rejects.toThrow(
+      'Found 2 entities named "Dark Mode": dark mode (f1), Dark Mode (f2)'
+    );
+
+    bundle.inputData.ifMultiple = 'oldest';
+    const results = await search.operation.perform(createZ(entities), bundle);
+    expect(results[0]).toMatchObject({ id: 'f1', matchCount: 2 });
+  });
+
+  it('should fail instead of reporting not found when pages are left', async () => {
+    const z = {
+      errors: { Error },
+      request: async () => ({
+        data: { data: [entity('f1', 'Other', '2025-01-01')], links: { next: '/v2/entities/search?pageCursor=next' } },
+      }),
+    };
+    const bundle = getBundle({ entityType: 'feature', name: 'CSV Export', maxPages: '2' });
+
+    await expect(search.operation.perform(z, bundle)).rejects.toThrow('Searched 2 entities (2 pages) without reaching the end');
+  });
+});
+
+describe('Bulk Health Update Action', () => {
+  const action = App.creates.bulkHealthUpdate;
+
+  // PATCH/GET stand-in that tracks parallel requests; "missing" entities 404
+  const createZ = () => {
+    let inFlight = 0;
+    const z = {
+      peak: 0,
+      patches: [],
+      errors: { Error },
+      request: async (req) => {
+        inFlight += 1;
+        z.peak = Math.max(z.peak, inFlight);
+        await new Promise((resolve) => setTimeout(resolve, 5));
+        inFlight -= 1;
+
+        const id = req.url.split('/').pop();
+        if (id === 'missing') {
+          const error = new Error('Resource not found. The entity ID may be incorrect.');
+          error.status = 404;
+          throw error;
+        }
+        if (req.method === 'PATCH') {
+          z.patches.push({ id, health: req.body.data.fields.health });
+          return { data: {} };
+        }
+        const patch = z.patches.find((p) => p.id === id);
+        return { data: { data: { id, type: 'feature', fields: { name: id, health: patch.health } } } };
+      },
+    };
+    return z;
+  };
+
+  it('should read CSV with quoted comments and JSON rows', async () => {
+    const z = createZ();
+    const csv = 'entityId,status,comment\ne1,Off Track,"Blocked, waiting on legal"\ne2,onTrack,';
+    const result = await action.operation.perform(z, getBundle({ updatesText: csv }));
+    expect(result).toMatchObject({ total: 2, succeeded: 2, failed: 0 });
+    expect(z.patches.find((p) => p.id === 'e1').health).toMatchObject({
+      status: 'offTrack',
+      comment: '<p>Blocked, waiting on legal</p>',
+    });
+
+    const json = JSON.stringify([{ entityId: 'e3', status: 'atRisk' }]);
+    const jsonResult = await action.operation.perform(createZ(), getBundle({ updatesText: json }));
+    expect(jsonResult.results[0]).toMatchObject({ entityId: 'e3', success: true, health: { status: 'atRisk' } });
+  });
+
+  it('should report bad rows individually with bounded concurrency', async () => {
+    const z = createZ();
+    const updates = [
+      ...Array.from({ length: 12 }, (_, i) => ({ entityId: `e${i}`, status: 'onTrack' })),
+      { entityId: 'missing', status: 'atRisk' },
+      { entityId: 'e99', status: 'fine' },
+    ];
+    const result = await action.operation.perform(z, getBundle({ updates }));
+
+    expect(result).toMatchObject({ total: 14, succeeded: 12, failed: 2 });
+    expect(result.results[12]).toMatchObject({ row: 13, success: false, error: 'Resource not found. The entity ID may be incorrect.' });
+    expect(result.results[13]).toMatchObject({ success: false, error: 'Unknown health status "fine"' });
+    expect(z.peak).toBeLessThanOrEqual(5);
+  });
+
+  it('should count a written row as succeeded when only the read-back fails', async () => {
+    const z = createZ();
+    const request = z.request;
+    z.request = async (req) => {
+      if (req.method === 'GET') throw new Error('Productboard is temporarily unavailable (503).');
+      return request(req);
+    };
+
+    const result = await action.operation.perform(z, getBundle({ updates: [{ entityId: 'e1', status: 'onTrack' }] }));
+
+    expect(result).toMatchObject({ succeeded: 1, failed: 0 });
+    expect(result.results[0]).toMatchObject({
+      success: true,
+      error: '',
+      fetchError: 'Productboard is temporarily unavailable (503).',
+    });
+    expect(z.patches).toHaveLength(1);
+  });
+
+  it('should reject unreadable JSON', async () => {
+    await expect(action.operation.perform(createZ(), getBundle({ updatesText: '[{"entityId": ' })))
+      .rejects.toThrow('Could not read Updates (CSV or JSON)');
+  });
 });
 
 describe('Middleware', () => {
@@ -126,3 +1462,172 @@ describe('Middleware', () => {
   });
 });
 
+
+describe('Pagination', () => {
+  const { fetchAllPages, parseMaxPages, DEFAULT_MAX_PAGES } = require('../lib/utils');
+
+  // Minimal z stand-in that serves canned pages in order
+  const createZ = (pages) => {
+    const requests = [];
+    return {
+      requests,
+      request: async (req) => {
+        requests.push(req);
+        return { data: pages[requests.length - 1] };
+      },
+    };
+  };
+
+  it('should follow links.next until the last page', async () => {
+    const z = createZ([
+      { data: [{ id: 'a' }], links: { next: 'https://api.productboard.com/v2/entities?pageCursor=2' } },
+      { data: [{ id: 'b' }], links: { next: null } },
+    ]);
+
+    const items = await fetchAllPages(z, {
+      url: 'https://api.productboard.com/v2/entities',
+      method: 'GET',
+      params: { type: 'feature' },
+    });
+
+    expect(items.map(i => i.id)).toEqual(['a', 'b']);
+    expect(z.requests[1].url).toBe('https://api.productboard.com/v2/entities?pageCursor=2');
+    expect(z.requests[1].params).toBeUndefined();
+  });
+
+  it('should re-send the body when paging a POST search', async () => {
+    const z = createZ([
+      { data: [{ id: 'a' }], links: { next: '/v2/entities/search?pageCursor=2' } },
+      { data: [{ id: 'b' }] },
+    ]);
+    const body = { data: { type: 'feature' } };
+
+    await fetchAllPages(z, { url: 'https://api.productboard.com/v2/entities/search', method: 'POST', body });
+
+    expect(z.requests[1].method).toBe('POST');
+    expect(z.requests[1].body).toBe(body);
+    expect(z.requests[1].url).toBe('https://api.productboard.com/v2/entities/search?pageCursor=2');
+  });
+
+  it('should stop at the page cap', async () => {
+    const page = { data: [{ id: 'x' }], links: { next: 'https://api.productboard.com/v2/entities?pageCursor=n' } };
+    const z = createZ([page, page, page, page]);
+
+    const items = await fetchAllPages(z, { url: 'https://api.productboard.com/v2/entities' }, { maxPages: 2 });
+
+    expect(items).toHaveLength(2);
+    expect(z.requests).toHaveLength(2);
+  });
+
+  it('should clamp the configured page cap', () => {
+    expect(parseMaxPages('')).toBe(DEFAULT_MAX_PAGES);
+    expect(parseMaxPages('0')).toBe(DEFAULT_MAX_PAGES);
+    expect(parseMaxPages('3')).toBe(3);
+    expect(parseMaxPages(500)).toBe(50);
+  });
+});
+
+describe('Retry Handling', () => {
+  const http = require('http');
+  const { requestWithRetry } = require('../lib/utils');
+
+  let server;
+  let baseUrl;
+  let responses;
+  let hits;
+
+  beforeAll((done) => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', (chunk) => { body += chunk; });
+      req.on('end', () => {
+        hits.push({ method: req.method, body });
+        const { status, headers = {}, data = {} } = responses.shift();
+        res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+        res.end(JSON.stringify(data));
+      });
+    });
+    server.listen(0, '127.0.0.1', () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+
+  afterAll((done) => {
+    server.close(done);
+  });
+
+  beforeEach(() => {
+    hits = [];
+  });
+
+  it('should retry 429 and 503 responses and return the eventual success', async () => {
+    responses = [
+      { status: 429, headers: { 'Retry-After': '0' } },
+      { status: 503, headers: { 'Retry-After': '0' } },
+      { status: 200, data: { data: { id: 'ok' } } },
+    ];
+
+    const result = await appTester(async (z) => {
+      const response = await requestWithRetry(z, {
+        url: `${baseUrl}/v2/entities/1`,
+        method: 'PATCH',
+        body: { data: { a: 1 } },
+      });
+      return response.data;
+    }, getBundle());
+
+    expect(result.data.id).toBe('ok');
+    expect(hits).toHaveLength(3);
+    expect(hits[2].method).toBe('PATCH');
+    expect(JSON.parse(hits[2].body)).toEqual({ data: { a: 1 } });
+  });
+
+  it('should throw ThrottledError once retries are exhausted', async () => {
+    responses = Array.from({ length: 4 }, () => ({ status: 429, headers: { 'Retry-After': '0' } }));
+
+    await expect(
+      appTester(async (z) => requestWithRetry(z, { url: `${baseUrl}/v2/entities` }), getBundle())
+    ).rejects.toMatchObject({ name: 'ThrottledError' });
+    expect(hits).toHaveLength(4);
+  });
+
+  it('should hand long Retry-After waits straight back to Zapier', async () => {
+    responses = [{ status: 429, headers: { 'Retry-After': '120' } }];
+
+    const error = await appTester(
+      async (z) => requestWithRetry(z, { url: `${baseUrl}/v2/entities` }),
+      getBundle()
+    ).catch((e) => e);
+
+    expect(error.name).toBe('ThrottledError');
+    expect(JSON.parse(error.message).delay).toBe(120);
+    expect(hits).toHaveLength(1);
+  });
+
+  it('should not retry other client errors', async () => {
+    responses = [{ status: 400, data: { message: 'Bad field' } }];
+
+    await expect(
+      appTester(async (z) => requestWithRetry(z, { url: `${baseUrl}/v2/entities` }), getBundle())
+    ).rejects.toThrow('Productboard API error (400): Bad field');
+    expect(hits).toHaveLength(1);
+  });
+
+  it('should retry creates on 429 only and fail plainly on gateway errors', async () => {
+    const { createWithRetry } = require('../lib/utils');
+    const create = (z) => createWithRetry(z, { url: `${baseUrl}/v2/entities`, method: 'POST', body: { data: {} } });
+
+    responses = [{ status: 429, headers: { 'Retry-After': '0' } }, { status: 201, data: { data: { id: 'new' } } }];
+    const result = await appTester(async (z) => (await create(z)).data, getBundle());
+    expect(result.data.id).toBe('new');
+    expect(hits).toHaveLength(2);
+
+    hits = [];
+    responses = [{ status: 502, headers: { 'Retry-After': '0' } }];
+    const error = await appTester(create, getBundle()).catch((e) => e);
+    expect(error.name).not.toBe('ThrottledError');
+    expect(error.message).toContain('may or may not have been created');
+    expect(hits).toHaveLength(1);
+  });
+});
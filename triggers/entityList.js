@@ -0,0 +1,51 @@
+/**
+ * Entity List (hidden trigger)
+ *
+ * Powers the entity dynamic dropdowns. Filters by the step's "Entity Type" input
+ * when it has one, otherwise lists all entity types.
+ *
+ * @see https://developer.productboard.com/v2.0.0/reference/list-entities
+ */
+
+const { fetchDropdownPage, formatEntityChoice } = require('../lib/utils');
+
+const perform = async (z, bundle) => {
+  const { entityType } = bundle.inputData;
+
+  const params = {};
+  if (entityType) {
+    params.type = entityType;
+  }
+
+  const entities = await fetchDropdownPage(z, bundle, {
+    url: 'https://api.productboard.com/v2/entities',
+    method: 'GET',
+    params,
+  });
+
+  return entities.map((entity) => formatEntityChoice(entity, !entityType));
+};
+
+module.exports = {
+  key: 'entityList',
+  noun: 'Entity',
+  display: {
+    label: 'List Entities',
+    description: 'Lists entities for dynamic dropdowns.',
+    hidden: true,
+  },
+  operation: {
+    perform,
+    canPaginate: true,
+    sample: {
+      id: 'ent_feature123',
+      name: 'Dark Mode Support (Feature)',
+      type: 'feature',
+    },
+    outputFields: [
+      { key: 'id', label: 'Entity ID', type: 'string' },
+      { key: 'name', label: 'Name', type: 'string' },
+      { key: 'type', label: 'Entity Type', type: 'string' },
+    ],
+  },
+};
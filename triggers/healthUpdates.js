@@ -1,13 +1,46 @@
 /**
  * Health Updates Trigger
  *
- * Triggers when a health status is updated on a Productboard entity.
- * Returns entities with health updates, sorted by most recent.
+ * Triggers once per health update on a Productboard entity, built on each entity's
+ * health history rather than its current health, so several updates between polls
+ * all fire. Each event carries that update's status, author, comment and timestamp
+ * (in `health`), with the entity's current fields alongside.
+ *
+ * Only entities whose current health changed within the lookback window have their
+ * history fetched, and only updates inside the window are returned.
+ *
+ * If the workspace has no history listing (404), events fall back to each entity's
+ * current health (`fromHistory: false`), which misses updates between polls; the
+ * listing isn't requested again by this Zap for a day. A 404 only counts as a missing
+ * listing when the entity itself can still be fetched (deleted entities are skipped).
+ * Optional from/to status filters limit it to specific transitions (e.g. onTrack → atRisk).
  *
  * @see https://developer.productboard.com/v2.0.0/reference/list-entities
  */
 
-const { formatEntity, entityOutputFields } = require('../lib/utils');
+const {
+  HEALTH_STATUS_OPTIONS,
+  getHealthTrend,
+  formatEntity,
+  entityOutputFields,
+  formatHealth,
+  DEFAULT_MAX_PAGES,
+  parseMaxPages,
+  fetchAllPages,
+  mapWithConcurrency,
+} = require('../lib/utils');
+const { customFieldOutputFields } = require('../lib/configurations');
+const {
+  fetchHealthHistory,
+  isHistoryListingMissing,
+  isHealthHistoryUnavailable,
+  markHealthHistoryUnavailable,
+} = require('../lib/health');
+
+const DEFAULT_LOOKBACK_DAYS = 7;
+const MAX_LOOKBACK_DAYS = 90;
+// Entities whose history is fetched in parallel
+const HISTORY_CONCURRENCY = 5;
 
 const ENTITY_TYPES = {
   feature: 'Feature',
@@ -17,48 +50,98 @@ const ENTITY_TYPES = {
 };
 
 const perform = async (z, bundle) => {
-  const { entityType } = bundle.inputData;
+  const { entityType, maxPages } = bundle.inputData;
+  const fromStatuses = bundle.inputData.fromStatuses || [];
+  const toStatuses = bundle.inputData.toStatuses || [];
 
-  const params = {};
+  // Request all fields so workspace custom fields are included
+  const params = { fields: 'all' };
   if (entityType) {
     params.type = entityType;
   }
 
-  const response = await z.request({
-    url: 'https://api.productboard.com/v2/entities',
-    method: 'GET',
-    params,
+  // Page through all entities so health changes past the first page still fire
+  const entities = await fetchAllPages(
+    z,
+    {
+      url: 'https://api.productboard.com/v2/entities',
+      method: 'GET',
+      params,
+    },
+    { maxPages: parseMaxPages(maxPages) }
+  );
+
+  const lookbackDays = Math.min(parseInt(bundle.inputData.lookbackDays, 10) || DEFAULT_LOOKBACK_DAYS, MAX_LOOKBACK_DAYS);
+  const since = Date.now() - lookbackDays * 24 * 60 * 60 * 1000;
+
+  // Any health update in the window moves the current health's lastUpdatedAt into it
+  const recentlyUpdated = entities.filter((entity) => {
+    const lastUpdatedAt = entity.fields?.health?.lastUpdatedAt;
+    return lastUpdatedAt && new Date(lastUpdatedAt).getTime() >= since;
+  });
+
+  // Once the history listing is known to be missing, stop asking for it (here and on
+  // this Zap's later polls)
+  const wasUnavailable = await isHealthHistoryUnavailable(z, bundle);
+  let unavailable = wasUnavailable;
+  const histories = await mapWithConcurrency(recentlyUpdated, HISTORY_CONCURRENCY, async (entity) => {
+    if (unavailable) return null;
+    const history = await fetchHealthHistory(z, entity, { since });
+    if (history) return history;
+
+    // A 404 for an entity deleted since it was listed says nothing about the listing
+    if (!(await isHistoryListingMissing(z, entity.id))) return [];
+    unavailable = true;
+    return null;
+  });
+
+  if (unavailable) {
+    z.console.log('Health history is unavailable; using current health only, so updates between polls may be missed');
+    if (!wasUnavailable) {
+      await markHealthHistoryUnavailable(z, bundle);
+    }
+  }
+
+  const events = [];
+  recentlyUpdated.forEach((entity, index) => {
+    const formatted = formatEntity(entity, bundle.authData);
+    const fromHistory = Boolean(histories[index]);
+
+    (histories[index] || [entity.fields.health])
+      .filter((update) => update.id && new Date(update.lastUpdatedAt).getTime() >= since)
+      .forEach((update) => {
+        const health = formatHealth(update);
+        events.push({
+          ...formatted,
+          // Use the health update ID as the unique identifier for trigger deduplication
+          id: health.id,
+          entityId: entity.id,
+          healthTrend: getHealthTrend(health.previousStatus, health.status),
+          fromHistory,
+          health,
+        });
+      });
   });
 
-  const entities = response.data.data || [];
-
-  // Filter to only entities with health updates and format
-  const entitiesWithHealth = entities
-    .filter((entity) => entity.fields?.health?.id)
-    .map((entity) => {
-      const formatted = formatEntity(entity);
-      // Use health ID as the unique identifier for trigger deduplication
-      return {
-        ...formatted,
-        id: formatted.health.id,
-        entityId: entity.id,
-      };
-    })
+  return events
+    // Only the requested transitions (empty filter matches any status)
+    .filter((item) => fromStatuses.length === 0 || fromStatuses.includes(item.health.previousStatus))
+    .filter((item) => toStatuses.length === 0 || toStatuses.includes(item.health.status))
     // Sort by health update time (newest first)
     .sort((a, b) => new Date(b.health.lastUpdatedAt) - new Date(a.health.lastUpdatedAt));
-
-  return entitiesWithHealth;
 };
 
 // Sample data for Zap editor testing
 const sample = {
   id: 'health_abc123',
   entityId: 'ent_feature456',
+  healthTrend: 'improving',
+  fromHistory: true,
   type: 'feature',
   name: 'User Authentication',
   description: '<p>Implement secure user authentication flow</p>',
   descriptionPlainText: 'Implement secure user authentication flow',
-  url: 'https://zapier.productboard.com/feature-board/165206/detail/feature/ent_feature456',
+  url: 'https://acme.productboard.com/feature-board/165206/detail/feature/ent_feature456',
 
   status: 'In Progress',
   statusId: 'status_123',
@@ -80,6 +163,7 @@ const sample = {
     mode: 'manual',
     comment: '<p>Development is back on schedule.</p>',
     commentPlainText: 'Development is back on schedule.',
+    commentMarkdown: 'Development is back on schedule.',
     lastUpdatedAt: '2025-12-13T12:00:00Z',
     updatedByEmail: 'pm@example.com',
     updatedById: 'member_789',
@@ -91,7 +175,7 @@ module.exports = {
   noun: 'Health Update',
   display: {
     label: 'New Health Update',
-    description: 'Triggers when a health status is updated on a Productboard entity (feature, initiative, objective, or key result).',
+    description: 'Triggers for each health update on a Productboard entity (feature, initiative, objective, or key result), including its author and comment.',
   },
   operation: {
     type: 'polling',
@@ -105,11 +189,49 @@ module.exports = {
         required: false,
         helpText: 'Filter by entity type. Leave empty to get health updates from all entity types.',
       },
+      {
+        key: 'fromStatuses',
+        label: 'From Health Status',
+        type: 'string',
+        list: true,
+        choices: HEALTH_STATUS_OPTIONS,
+        required: false,
+        helpText: 'Only trigger when the previous health status is one of these. Leave empty for any.',
+      },
+      {
+        key: 'toStatuses',
+        label: 'To Health Status',
+        type: 'string',
+        list: true,
+        choices: HEALTH_STATUS_OPTIONS,
+        required: false,
+        helpText: 'Only trigger when the new health status is one of these (e.g., "Off Track" for anything going off track). Leave empty for any.',
+      },
+      {
+        key: 'lookbackDays',
+        label: 'Lookback (Days)',
+        type: 'integer',
+        required: false,
+        default: String(DEFAULT_LOOKBACK_DAYS),
+        helpText: `Only return health updates from the last this many days (up to ${MAX_LOOKBACK_DAYS}). Longer windows fetch more history on each poll.`,
+      },
+      {
+        key: 'maxPages',
+        label: 'Max Pages',
+        type: 'integer',
+        required: false,
+        default: String(DEFAULT_MAX_PAGES),
+        helpText:
+          'Maximum number of entity pages to scan on each poll (up to 50). Increase for large workspaces.',
+      },
     ],
     sample,
     outputFields: [
       { key: 'entityId', label: 'Entity ID', type: 'string' },
+      { key: 'healthTrend', label: 'Health Trend (worsening/improving/unchanged/none)', type: 'string' },
+      { key: 'fromHistory', label: 'From Health History', type: 'boolean' },
       ...entityOutputFields,
+      customFieldOutputFields,
     ],
   },
 };
@@ -0,0 +1,49 @@
+/**
+ * Member List (hidden trigger)
+ *
+ * Powers the workspace member dynamic dropdowns (owners, health update authors).
+ *
+ * @see https://developer.productboard.com/v2.0.0/reference/list-members
+ */
+
+const { fetchDropdownPage } = require('../lib/utils');
+
+const perform = async (z, bundle) => {
+  const members = await fetchDropdownPage(z, bundle, {
+    url: 'https://api.productboard.com/v2/members',
+    method: 'GET',
+  });
+
+  return members.map((member) => {
+    const fields = member.fields || member;
+    return {
+      id: member.id,
+      email: fields.email || '',
+      name: fields.name || fields.email || member.id,
+    };
+  });
+};
+
+module.exports = {
+  key: 'memberList',
+  noun: 'Member',
+  display: {
+    label: 'List Members',
+    description: 'Lists workspace members for dynamic dropdowns.',
+    hidden: true,
+  },
+  operation: {
+    perform,
+    canPaginate: true,
+    sample: {
+      id: 'member_456',
+      email: 'pm@example.com',
+      name: 'Pat Manager',
+    },
+    outputFields: [
+      { key: 'id', label: 'Member ID', type: 'string' },
+      { key: 'email', label: 'Email', type: 'string' },
+      { key: 'name', label: 'Name', type: 'string' },
+    ],
+  },
+};
@@ -0,0 +1,119 @@
+/**
+ * New Entity Trigger
+ *
+ * Triggers when an entity (feature, initiative, objective, etc.) is created in Productboard.
+ * Polls the search endpoint and returns entities newest first, deduplicated by entity ID.
+ *
+ * The search API can't sort or filter by creation date, so results come in API order
+ * and are sorted here. Only the first Max Pages are scanned: in a workspace with more
+ * matching entities than that, new ones on later pages never fire. Narrow the trigger
+ * with type, product or parent (or raise Max Pages) so every match fits.
+ *
+ * @see https://developer.productboard.com/v2.0.0/reference/searchentities
+ */
+
+const {
+  ENTITY_TYPES,
+  formatEntity,
+  entityOutputFields,
+  DEFAULT_MAX_PAGES,
+  parseMaxPages,
+  buildEntitySearchData,
+  searchEntities,
+} = require('../lib/utils');
+const { customFieldOutputFields } = require('../lib/configurations');
+
+const perform = async (z, bundle) => {
+  const { entityType, productId, parentId, maxPages } = bundle.inputData;
+
+  // New entities are active; archived ones would re-surface old records
+  const searchData = buildEntitySearchData({ entityType, productId, parentId, archived: 'false' });
+
+  // Page deep enough to catch bursts of creations between polls
+  const entities = await searchEntities(z, searchData, {
+    maxPages: parseMaxPages(maxPages),
+    onPageCap: (items) => {
+      z.console.log(`New Entity scanned ${items.length} entities and stopped at Max Pages; newer ones on later pages are missed`);
+    },
+  });
+
+  // Entity ID is the dedupe key, so newest first
+  return entities
+    .map((entity) => formatEntity(entity, bundle.authData))
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+};
+
+// Sample data for Zap editor testing
+const sample = {
+  id: 'ent_feature789',
+  type: 'feature',
+  name: 'Bulk CSV Export',
+  description: '<p>Requested via intake form</p>',
+  descriptionPlainText: 'Requested via intake form',
+  url: 'https://acme.productboard.com/feature-board/165206/detail/feature/ent_feature789',
+
+  status: 'New idea',
+  statusId: 'status_001',
+  archived: false,
+
+  ownerEmail: 'pm@example.com',
+  ownerId: 'member_456',
+
+  startDate: '',
+  endDate: '',
+
+  createdAt: '2025-12-14T09:00:00Z',
+  updatedAt: '2025-12-14T09:00:00Z',
+
+  health: null,
+};
+
+module.exports = {
+  key: 'newEntity',
+  noun: 'Entity',
+  display: {
+    label: 'New Entity',
+    description: 'Triggers when a new entity (feature, initiative, objective, etc.) is created.',
+  },
+  operation: {
+    type: 'polling',
+    perform,
+    inputFields: [
+      {
+        key: 'entityType',
+        label: 'Entity Type',
+        type: 'string',
+        choices: ENTITY_TYPES,
+        required: false,
+        helpText: 'Only trigger for this entity type. Leave empty for all types.',
+      },
+      {
+        key: 'productId',
+        label: 'Product ID',
+        type: 'string',
+        required: false,
+        dynamic: 'productList.id.name',
+        helpText: 'Only trigger for entities in this product.',
+      },
+      {
+        key: 'parentId',
+        label: 'Parent Entity ID',
+        type: 'string',
+        required: false,
+        dynamic: 'parentEntityList.id.name',
+        helpText: 'Only trigger for entities directly under this parent.',
+      },
+      {
+        key: 'maxPages',
+        label: 'Max Pages',
+        type: 'integer',
+        required: false,
+        default: String(DEFAULT_MAX_PAGES),
+        helpText:
+          'Maximum number of result pages to scan on each poll (up to 50). Results are not ordered by creation date, so entities past this limit never trigger: narrow by type, product or parent, or increase this for large workspaces.',
+      },
+    ],
+    sample,
+    outputFields: [...entityOutputFields, customFieldOutputFields],
+  },
+};
@@ -0,0 +1,104 @@
+/**
+ * New Note Trigger
+ *
+ * Triggers when a note (insight) is created in Productboard.
+ * Returns notes newest first, deduplicated by note ID. Optional tag and owner
+ * filters route only matching insights. Only notes created in the last few days are
+ * listed, so Max Pages covers recent notes instead of the whole workspace history.
+ *
+ * @see https://developer.productboard.com/v2.0.0/reference/list-notes
+ */
+
+const { DEFAULT_MAX_PAGES, parseMaxPages, fetchAllPages } = require('../lib/utils');
+const { buildNoteSearchParams, formatNote, noteOutputFields } = require('../lib/notes');
+
+// Notes created before this window have already been seen by earlier polls
+const CREATED_WINDOW_DAYS = 3;
+
+const perform = async (z, bundle) => {
+  const { tags, ownerEmail, maxPages } = bundle.inputData;
+  const createdFrom = new Date(Date.now() - CREATED_WINDOW_DAYS * 24 * 60 * 60 * 1000).toISOString();
+
+  const notes = await fetchAllPages(
+    z,
+    {
+      url: 'https://api.productboard.com/v2/notes',
+      method: 'GET',
+      params: buildNoteSearchParams({ tags, ownerEmail, createdFrom }),
+    },
+    {
+      maxPages: parseMaxPages(maxPages),
+      onPageCap: (items) => {
+        z.console.log(`New Note scanned ${items.length} notes and stopped at Max Pages; newer ones on later pages are missed`);
+      },
+    }
+  );
+
+  // Note ID is the dedupe key, so newest first
+  return notes
+    .map(formatNote)
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+};
+
+// Sample data for Zap editor testing
+const sample = {
+  id: '62099d4c-571f-405d-abc0-9e3925d053ee',
+  type: 'simple',
+  title: 'Customer asked for CSV export',
+  content: '<p>We need to export our reports to CSV every week.</p>',
+  contentPlainText: 'We need to export our reports to CSV every week.',
+  tags: ['export', 'reporting'],
+
+  ownerEmail: 'pm@example.com',
+  ownerId: 'member_456',
+
+  sourceOrigin: 'intercom',
+  sourceUrl: 'https://app.intercom.com/a/inbox/conversation/1234',
+
+  url: 'https://acme.productboard.com/all-notes/notes/62099d4c-571f-405d-abc0-9e3925d053ee',
+  apiUrl: 'https://api.productboard.com/v2/notes/62099d4c-571f-405d-abc0-9e3925d053ee',
+
+  createdAt: '2025-12-13T12:00:00Z',
+  updatedAt: '2025-12-13T12:00:00Z',
+};
+
+module.exports = {
+  key: 'newNote',
+  noun: 'Note',
+  display: {
+    label: 'New Note',
+    description: 'Triggers when a new note (insight) is created, optionally only with specific tags.',
+  },
+  operation: {
+    type: 'polling',
+    perform,
+    inputFields: [
+      {
+        key: 'tags',
+        label: 'Tags',
+        type: 'string',
+        list: true,
+        required: false,
+        helpText: 'Only trigger for notes that have all of these tags.',
+      },
+      {
+        key: 'ownerEmail',
+        label: 'Owner Email',
+        type: 'string',
+        required: false,
+        dynamic: 'memberList.email.name',
+        helpText: 'Only trigger for notes owned by this member.',
+      },
+      {
+        key: 'maxPages',
+        label: 'Max Pages',
+        type: 'integer',
+        required: false,
+        default: String(DEFAULT_MAX_PAGES),
+        helpText: 'Maximum number of note pages to scan on each poll (up to 50).',
+      },
+    ],
+    sample,
+    outputFields: noteOutputFields,
+  },
+};
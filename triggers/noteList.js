@@ -0,0 +1,46 @@
+/**
+ * Note List (hidden trigger)
+ *
+ * Powers the note dynamic dropdowns with the workspace's most recent notes.
+ *
+ * @see https://developer.productboard.com/v2.0.0/reference/list-notes
+ */
+
+const { fetchDropdownPage } = require('../lib/utils');
+
+const perform = async (z, bundle) => {
+  const notes = await fetchDropdownPage(z, bundle, {
+    url: 'https://api.productboard.com/v2/notes',
+    method: 'GET',
+  });
+
+  return notes.map((note) => ({
+    id: note.id,
+    title: note.fields?.name || note.fields?.title || note.id,
+    createdAt: note.createdAt,
+  }));
+};
+
+module.exports = {
+  key: 'noteList',
+  noun: 'Note',
+  display: {
+    label: 'List Notes',
+    description: 'Lists recent notes for dynamic dropdowns.',
+    hidden: true,
+  },
+  operation: {
+    perform,
+    canPaginate: true,
+    sample: {
+      id: '62099d4c-571f-405d-abc0-9e3925d053ee',
+      title: 'Customer asked for CSV export',
+      createdAt: '2025-12-13T12:00:00Z',
+    },
+    outputFields: [
+      { key: 'id', label: 'Note ID', type: 'string' },
+      { key: 'title', label: 'Title', type: 'string' },
+      { key: 'createdAt', label: 'Created At', type: 'datetime' },
+    ],
+  },
+};
@@ -0,0 +1,76 @@
+/**
+ * Parent Entity List (hidden trigger)
+ *
+ * Powers the "Parent Entity" dynamic dropdowns. Lists only the entity types that can
+ * be a parent of the step's selected "Entity Type" (e.g., products and components
+ * for a feature), or all entities when no type is selected.
+ *
+ * @see https://developer.productboard.com/v2.0.0/reference/list-entities
+ */
+
+const {
+  PARENT_TYPES,
+  fetchAllPages,
+  fetchDropdownPage,
+  formatEntityChoice,
+} = require('../lib/utils');
+
+// Pages fetched per parent type (parent lists are usually short)
+const MAX_PAGES_PER_TYPE = 5;
+
+const perform = async (z, bundle) => {
+  const parentTypes = PARENT_TYPES[bundle.inputData.entityType];
+
+  // No type selected: page through everything like the plain entity list
+  if (!parentTypes) {
+    const entities = await fetchDropdownPage(z, bundle, {
+      url: 'https://api.productboard.com/v2/entities',
+      method: 'GET',
+    });
+    return entities.map((entity) => formatEntityChoice(entity, true));
+  }
+
+  // Parent types are fetched in full on the first page only
+  if (bundle.meta?.page) {
+    return [];
+  }
+
+  const results = [];
+  for (const type of parentTypes) {
+    const entities = await fetchAllPages(
+      z,
+      {
+        url: 'https://api.productboard.com/v2/entities',
+        method: 'GET',
+        params: { type },
+      },
+      { maxPages: MAX_PAGES_PER_TYPE }
+    );
+    results.push(...entities.map((entity) => formatEntityChoice(entity, parentTypes.length > 1)));
+  }
+  return results;
+};
+
+module.exports = {
+  key: 'parentEntityList',
+  noun: 'Parent Entity',
+  display: {
+    label: 'List Parent Entities',
+    description: 'Lists possible parent entities for dynamic dropdowns.',
+    hidden: true,
+  },
+  operation: {
+    perform,
+    canPaginate: true,
+    sample: {
+      id: 'ent_component123',
+      name: 'Mobile App (Component)',
+      type: 'component',
+    },
+    outputFields: [
+      { key: 'id', label: 'Entity ID', type: 'string' },
+      { key: 'name', label: 'Name', type: 'string' },
+      { key: 'type', label: 'Entity Type', type: 'string' },
+    ],
+  },
+};
@@ -0,0 +1,43 @@
+/**
+ * Product List (hidden trigger)
+ *
+ * Powers the "Product ID" dynamic dropdowns.
+ *
+ * @see https://developer.productboard.com/v2.0.0/reference/list-entities
+ */
+
+const { fetchDropdownPage, formatEntityChoice } = require('../lib/utils');
+
+const perform = async (z, bundle) => {
+  const entities = await fetchDropdownPage(z, bundle, {
+    url: 'https://api.productboard.com/v2/entities',
+    method: 'GET',
+    params: { type: 'product' },
+  });
+
+  return entities.map((entity) => formatEntityChoice(entity));
+};
+
+module.exports = {
+  key: 'productList',
+  noun: 'Product',
+  display: {
+    label: 'List Products',
+    description: 'Lists products for dynamic dropdowns.',
+    hidden: true,
+  },
+  operation: {
+    perform,
+    canPaginate: true,
+    sample: {
+      id: 'ent_product123',
+      name: 'Mobile App',
+      type: 'product',
+    },
+    outputFields: [
+      { key: 'id', label: 'Product ID', type: 'string' },
+      { key: 'name', label: 'Name', type: 'string' },
+      { key: 'type', label: 'Entity Type', type: 'string' },
+    ],
+  },
+};
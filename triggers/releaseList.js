@@ -0,0 +1,43 @@
+/**
+ * Release List (hidden trigger)
+ *
+ * Powers the "Release ID" dynamic dropdowns.
+ *
+ * @see https://developer.productboard.com/v2.0.0/reference/list-entities
+ */
+
+const { fetchDropdownPage, formatEntityChoice } = require('../lib/utils');
+
+const perform = async (z, bundle) => {
+  const entities = await fetchDropdownPage(z, bundle, {
+    url: 'https://api.productboard.com/v2/entities',
+    method: 'GET',
+    params: { type: 'release' },
+  });
+
+  return entities.map((entity) => formatEntityChoice(entity));
+};
+
+module.exports = {
+  key: 'releaseList',
+  noun: 'Release',
+  display: {
+    label: 'List Releases',
+    description: 'Lists releases for dynamic dropdowns.',
+    hidden: true,
+  },
+  operation: {
+    perform,
+    canPaginate: true,
+    sample: {
+      id: 'ent_release123',
+      name: 'Q1 2026',
+      type: 'release',
+    },
+    outputFields: [
+      { key: 'id', label: 'Release ID', type: 'string' },
+      { key: 'name', label: 'Name', type: 'string' },
+      { key: 'type', label: 'Entity Type', type: 'string' },
+    ],
+  },
+};
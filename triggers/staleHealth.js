@@ -0,0 +1,180 @@
+/**
+ * Stale Health Trigger
+ *
+ * Triggers once per entity when its health needs attention:
+ * - stale: health.lastUpdatedAt is older than the chosen number of days
+ * - notSet: no health at all on an entity in one of the Active Statuses (if any are set)
+ *
+ * Dedupe ID: `entityId + reason + last health update`, so an entity fires again
+ * when a later health update goes stale too.
+ *
+ * @see https://developer.productboard.com/v2.0.0/reference/searchentities
+ */
+
+const {
+  ENTITY_TYPES,
+  formatEntity,
+  entityOutputFields,
+  DEFAULT_MAX_PAGES,
+  parseMaxPages,
+  buildEntitySearchData,
+  searchEntities,
+} = require('../lib/utils');
+const { customFieldOutputFields } = require('../lib/configurations');
+const { getHealthAttention } = require('../lib/health');
+
+const DEFAULT_STALE_DAYS = 14;
+
+const perform = async (z, bundle) => {
+  const { entityType, ownerEmail, productId, maxPages } = bundle.inputData;
+  const staleDays = parseInt(bundle.inputData.staleDays, 10) || DEFAULT_STALE_DAYS;
+  const activeStatuses = bundle.inputData.activeStatuses || [];
+
+  // Archived entities don't need health, so only active ones are checked
+  const searchData = buildEntitySearchData({
+    entityType,
+    ownerEmails: ownerEmail,
+    productId,
+    archived: 'false',
+  });
+  const entities = await searchEntities(z, searchData, {
+    maxPages: parseMaxPages(maxPages),
+  });
+
+  const now = Date.now();
+  const results = [];
+
+  entities.forEach((rawEntity) => {
+    const entity = formatEntity(rawEntity, bundle.authData);
+    const attention = getHealthAttention(entity, { staleDays, activeStatuses, now });
+    if (!attention) return;
+
+    results.push({
+      ...entity,
+      id: `${entity.id}_${attention.reason}_${attention.windowStart || 'never'}`,
+      entityId: entity.id,
+      staleReason: attention.reason,
+      daysSinceHealthUpdate: attention.daysSinceUpdate,
+      staleDays,
+    });
+  });
+
+  // Most recently updated health first; never-updated entities last
+  return results.sort((a, b) =>
+    new Date(b.health?.lastUpdatedAt || 0) - new Date(a.health?.lastUpdatedAt || 0)
+  );
+};
+
+// Sample data for Zap editor testing
+const sample = {
+  id: 'ent_feature123_stale_2025-11-01T12:00:00Z',
+  entityId: 'ent_feature123',
+  staleReason: 'stale',
+  daysSinceHealthUpdate: 42,
+  staleDays: 14,
+  type: 'feature',
+  name: 'User Authentication',
+  description: '<p>Implement secure user authentication flow</p>',
+  descriptionPlainText: 'Implement secure user authentication flow',
+  url: 'https://acme.productboard.com/feature-board/165206/detail/feature/ent_feature123',
+
+  status: 'In Progress',
+  statusId: 'status_123',
+  archived: false,
+
+  ownerEmail: 'pm@example.com',
+  ownerId: 'member_456',
+
+  startDate: '2025-01-01',
+  endDate: '2025-03-31',
+
+  createdAt: '2025-01-01T00:00:00Z',
+  updatedAt: '2025-11-01T12:00:00Z',
+
+  health: {
+    id: 'health_xyz789',
+    status: 'onTrack',
+    previousStatus: '',
+    mode: 'manual',
+    comment: '<p>Kickoff went well.</p>',
+    commentPlainText: 'Kickoff went well.',
+    lastUpdatedAt: '2025-11-01T12:00:00Z',
+    updatedByEmail: 'pm@example.com',
+    updatedById: 'member_789',
+  },
+};
+
+module.exports = {
+  key: 'staleHealth',
+  noun: 'Entity',
+  display: {
+    label: 'Stale Health',
+    description:
+      'Triggers when an entity\'s health hasn\'t been updated for a number of days, or is not set on an active entity.',
+  },
+  operation: {
+    type: 'polling',
+    perform,
+    inputFields: [
+      {
+        key: 'staleDays',
+        label: 'Stale After (Days)',
+        type: 'integer',
+        required: true,
+        default: String(DEFAULT_STALE_DAYS),
+        helpText: 'Trigger when health has not been updated for this many days.',
+      },
+      {
+        key: 'entityType',
+        label: 'Entity Type',
+        type: 'string',
+        choices: ENTITY_TYPES,
+        required: false,
+        helpText: 'Only check this entity type. Leave empty for all types.',
+      },
+      {
+        key: 'activeStatuses',
+        label: 'Active Statuses',
+        type: 'string',
+        list: true,
+        required: false,
+        dynamic: 'statusList.name.name',
+        helpText:
+          'Entities in these statuses must have health set; those without health trigger right away. Leave empty to only trigger on stale health, never on missing health.',
+      },
+      {
+        key: 'ownerEmail',
+        label: 'Owner Email',
+        type: 'string',
+        required: false,
+        dynamic: 'memberList.email.name',
+        helpText: 'Only check entities owned by this member.',
+      },
+      {
+        key: 'productId',
+        label: 'Product ID',
+        type: 'string',
+        required: false,
+        dynamic: 'productList.id.name',
+        helpText: 'Only check entities belonging to this product.',
+      },
+      {
+        key: 'maxPages',
+        label: 'Max Pages',
+        type: 'integer',
+        required: false,
+        default: String(DEFAULT_MAX_PAGES),
+        helpText: 'Maximum number of result pages to scan on each poll (up to 50). Increase for large workspaces.',
+      },
+    ],
+    sample,
+    outputFields: [
+      { key: 'entityId', label: 'Entity ID', type: 'string' },
+      { key: 'staleReason', label: 'Reason (stale or notSet)', type: 'string' },
+      { key: 'daysSinceHealthUpdate', label: 'Days Since Health Update', type: 'integer' },
+      { key: 'staleDays', label: 'Stale After (Days)', type: 'integer' },
+      ...entityOutputFields,
+      customFieldOutputFields,
+    ],
+  },
+};
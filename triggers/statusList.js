@@ -0,0 +1,48 @@
+/**
+ * Status List (hidden trigger)
+ *
+ * Powers the status dynamic dropdowns. Statuses come from the entity configuration
+ * of the step's selected "Entity Type" (or every type, deduplicated, if none is selected).
+ *
+ * @see https://developer.productboard.com/v2.0.0/reference/list-entity-configurations
+ */
+
+const { getEntityConfigurations } = require('../lib/configurations');
+
+const perform = async (z, bundle) => {
+  const configurations = await getEntityConfigurations(z, bundle.inputData.entityType);
+
+  const statuses = {};
+  configurations.forEach((config) => {
+    const statusField = config.fields.find((field) => field.id === 'status');
+    (statusField?.options || []).forEach((status) => {
+      const name = status.name || status.label;
+      if (name && !statuses[name]) {
+        statuses[name] = { id: status.id || name, name };
+      }
+    });
+  });
+
+  return Object.values(statuses);
+};
+
+module.exports = {
+  key: 'statusList',
+  noun: 'Status',
+  display: {
+    label: 'List Statuses',
+    description: 'Lists entity statuses for dynamic dropdowns.',
+    hidden: true,
+  },
+  operation: {
+    perform,
+    sample: {
+      id: 'status_123',
+      name: 'In Progress',
+    },
+    outputFields: [
+      { key: 'id', label: 'Status ID', type: 'string' },
+      { key: 'name', label: 'Status Name', type: 'string' },
+    ],
+  },
+};
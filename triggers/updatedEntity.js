@@ -0,0 +1,240 @@
+/**
+ * Updated Entity Trigger
+ *
+ * Triggers when an entity's name, status, owner, timeframe (or other tracked field) changes.
+ * Each update is deduplicated by `id + updatedAt`.
+ *
+ * Change detection: the values seen on the previous poll are kept per Zap in z.cache.
+ * When a snapshot exists, `changedFields` lists what changed and `previous` holds the
+ * old values; health also falls back to the API's own `previousStatus`. Descriptions
+ * are snapshotted as a hash to keep the cache entry small, so their old text isn't kept.
+ *
+ * @see https://developer.productboard.com/v2.0.0/reference/searchentities
+ */
+
+const crypto = require('crypto');
+const {
+  ENTITY_TYPES,
+  formatEntity,
+  entityOutputFields,
+  DEFAULT_MAX_PAGES,
+  parseMaxPages,
+  buildEntitySearchData,
+  searchEntities,
+} = require('../lib/utils');
+const { customFieldOutputFields } = require('../lib/configurations');
+
+const TRACKED_FIELDS = {
+  name: 'Name',
+  description: 'Description',
+  status: 'Status',
+  owner: 'Owner',
+  timeframe: 'Timeframe',
+  archived: 'Archived',
+  health: 'Health Status',
+};
+
+// Each poll rewrites the entry with only the entities it saw, so deleted entities drop
+// out; the TTL clears entries of Zaps that stop polling
+const SNAPSHOT_TTL_SECONDS = 60 * 60 * 24 * 30;
+
+const hashText = (text) => crypto.createHash('sha1').update(text || '').digest('hex');
+
+/**
+ * Reduce a formatted entity to the values compared between polls
+ */
+const takeSnapshot = (entity) => ({
+  name: entity.name,
+  descriptionHash: hashText(entity.description),
+  status: entity.status,
+  ownerEmail: entity.ownerEmail,
+  startDate: entity.startDate,
+  endDate: entity.endDate,
+  archived: entity.archived,
+  healthStatus: entity.health?.status || '',
+  updatedAt: entity.updatedAt,
+});
+
+/**
+ * Tracked fields whose snapshot values differ
+ */
+const diffSnapshots = (previous, current) => {
+  const changed = [];
+  if (previous.name !== current.name) changed.push('name');
+  if (previous.descriptionHash !== current.descriptionHash) changed.push('description');
+  if (previous.status !== current.status) changed.push('status');
+  if (previous.ownerEmail !== current.ownerEmail) changed.push('owner');
+  if (previous.startDate !== current.startDate || previous.endDate !== current.endDate) {
+    changed.push('timeframe');
+  }
+  if (previous.archived !== current.archived) changed.push('archived');
+  if (previous.healthStatus !== current.healthStatus) changed.push('health');
+  return changed;
+};
+
+const getSnapshotKey = (bundle) => `updatedEntity:snapshots:${bundle.meta?.zap?.id || 'test'}`;
+
+/**
+ * Load stored snapshots; z.cache is unavailable outside Zapier, so failures mean "no history"
+ */
+const loadSnapshots = async (z, bundle) => {
+  try {
+    return (await z.cache.get(getSnapshotKey(bundle))) || {};
+  } catch (error) {
+    z.console.log('Entity snapshots unavailable', error.message);
+    return {};
+  }
+};
+
+const saveSnapshots = async (z, bundle, snapshots) => {
+  try {
+    await z.cache.set(getSnapshotKey(bundle), snapshots, SNAPSHOT_TTL_SECONDS);
+  } catch (error) {
+    z.console.log('Could not store entity snapshots', error.message);
+  }
+};
+
+const perform = async (z, bundle) => {
+  const { entityType, maxPages } = bundle.inputData;
+  const watchedFields = bundle.inputData.watchedFields || [];
+
+  // Archived entities are included so archiving counts as an update
+  const searchData = buildEntitySearchData({ entityType, archived: 'all' });
+  const entities = await searchEntities(z, searchData, {
+    maxPages: parseMaxPages(maxPages),
+  });
+
+  const previousSnapshots = await loadSnapshots(z, bundle);
+  const snapshots = {};
+  const results = [];
+
+  entities.forEach((rawEntity) => {
+    const entity = formatEntity(rawEntity, bundle.authData);
+    const current = takeSnapshot(entity);
+    const previous = previousSnapshots[entity.id];
+    snapshots[entity.id] = current;
+
+    // Nothing new since the stored snapshot
+    if (previous && previous.updatedAt === current.updatedAt) {
+      return;
+    }
+
+    const changedFields = previous ? diffSnapshots(previous, current) : [];
+
+    // Without a snapshot we can't tell which fields changed, so only unfiltered Zaps fire
+    if (watchedFields.length > 0 && !changedFields.some((field) => watchedFields.includes(field))) {
+      return;
+    }
+
+    results.push({
+      ...entity,
+      id: `${entity.id}_${entity.updatedAt}`,
+      entityId: entity.id,
+      changedFields,
+      previous: {
+        name: previous?.name ?? '',
+        status: previous?.status ?? '',
+        ownerEmail: previous?.ownerEmail ?? '',
+        startDate: previous?.startDate ?? '',
+        endDate: previous?.endDate ?? '',
+        archived: previous?.archived ?? '',
+        healthStatus: previous?.healthStatus || entity.health?.previousStatus || '',
+      },
+    });
+  });
+
+  await saveSnapshots(z, bundle, snapshots);
+
+  return results.sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+};
+
+// Sample data for Zap editor testing
+const sample = {
+  id: 'ent_feature123_2025-12-14T10:00:00Z',
+  entityId: 'ent_feature123',
+  changedFields: ['status', 'owner'],
+  previous: {
+    name: 'User Authentication',
+    status: 'Planned',
+    ownerEmail: 'old-pm@example.com',
+    startDate: '2025-01-01',
+    endDate: '2025-03-31',
+    archived: false,
+    healthStatus: 'atRisk',
+  },
+  type: 'feature',
+  name: 'User Authentication',
+  description: '<p>Implement secure user authentication flow</p>',
+  descriptionPlainText: 'Implement secure user authentication flow',
+  url: 'https://acme.productboard.com/feature-board/165206/detail/feature/ent_feature123',
+
+  status: 'In Progress',
+  statusId: 'status_123',
+  archived: false,
+
+  ownerEmail: 'pm@example.com',
+  ownerId: 'member_456',
+
+  startDate: '2025-01-01',
+  endDate: '2025-03-31',
+
+  createdAt: '2025-01-01T00:00:00Z',
+  updatedAt: '2025-12-14T10:00:00Z',
+
+  health: null,
+};
+
+module.exports = {
+  key: 'updatedEntity',
+  noun: 'Entity',
+  display: {
+    label: 'Updated Entity',
+    description: 'Triggers when an entity\'s name, status, owner, timeframe, or other tracked field changes.',
+  },
+  operation: {
+    type: 'polling',
+    perform,
+    inputFields: [
+      {
+        key: 'entityType',
+        label: 'Entity Type',
+        type: 'string',
+        choices: ENTITY_TYPES,
+        required: false,
+        helpText: 'Only trigger for this entity type. Leave empty for all types.',
+      },
+      {
+        key: 'watchedFields',
+        label: 'Only When These Fields Change',
+        type: 'string',
+        list: true,
+        choices: TRACKED_FIELDS,
+        required: false,
+        helpText:
+          'Only trigger when one of these fields changes. Leave empty to trigger on any update. Changes are detected from the previous poll, so the first update after turning the Zap on may be skipped.',
+      },
+      {
+        key: 'maxPages',
+        label: 'Max Pages',
+        type: 'integer',
+        required: false,
+        default: String(DEFAULT_MAX_PAGES),
+        helpText: 'Maximum number of result pages to scan on each poll (up to 50). Increase for large workspaces.',
+      },
+    ],
+    sample,
+    outputFields: [
+      { key: 'entityId', label: 'Entity ID', type: 'string' },
+      { key: 'changedFields', label: 'Changed Fields', type: 'string', list: true },
+      { key: 'previous__name', label: 'Previous Name', type: 'string' },
+      { key: 'previous__status', label: 'Previous Status', type: 'string' },
+      { key: 'previous__ownerEmail', label: 'Previous Owner Email', type: 'string' },
+      { key: 'previous__startDate', label: 'Previous Start Date', type: 'string' },
+      { key: 'previous__endDate', label: 'Previous End Date', type: 'string' },
+      { key: 'previous__archived', label: 'Previous Archived', type: 'string' },
+      { key: 'previous__healthStatus', label: 'Previous Health Status', type: 'string' },
+      ...entityOutputFields,
+      customFieldOutputFields,
+    ],
+  },
+};